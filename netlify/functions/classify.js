@@ -0,0 +1,73 @@
+/**
+ * Netlify Function: Classify
+ * Infers the document type of each input so the UI can pre-fill it
+ * API Key is securely stored in Netlify environment variables
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+// Shared classifier (bundled at build time)
+import { classifyDocumentWithAI } from '../../src/documentClassifier.js';
+import { AI_CONCURRENCY, mapConcurrent } from '../../src/concurrency.js';
+
+export const handler = async (event, context) => {
+  // Only allow POST
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const body = JSON.parse(event.body);
+    const { inputs, useAI = true } = body;
+
+    if (!inputs || !inputs.length) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'No inputs provided' })
+      };
+    }
+
+    // Initialize Anthropic client if AI is enabled and key exists
+    let anthropicClient = null;
+    if (useAI && process.env.ANTHROPIC_API_KEY) {
+      anthropicClient = new Anthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY
+      });
+    }
+
+    // Low-confidence inputs go to the AI, several at a time
+    const classifications = await mapConcurrent(inputs, AI_CONCURRENCY, async input => {
+      const result = await classifyDocumentWithAI(input, {
+        useAI: useAI && !!anthropicClient,
+        anthropicClient
+      });
+
+      return {
+        id: input.id,
+        document_type: result.documentType,
+        confidence: result.confidence,
+        source: result.source,
+        signals: result.signals
+      };
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({ classifications })
+    };
+
+  } catch (error) {
+    console.error('Classification error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message || 'Classification failed' })
+    };
+  }
+};
@@ -11,6 +11,40 @@ if (typeof pdfjsLib !== 'undefined') {
 // State
 let collectedInputs = [];
 let analysisResult = null;
+let customLibrary = null;
+let definitionEdits = {};
+let historyDb = null;
+let historyRecords = [];
+let hiddenTrendSeries = new Set();
+
+// Document types and their labels (weights live in src/termLibrary.js)
+const DOCUMENT_TYPES = {
+    contract: 'Contract',
+    proposal: 'Proposal',
+    onboarding: 'Onboarding',
+    marketing: 'Marketing',
+    website: 'Website',
+    sales_script: 'Sales script',
+    internal_process: 'Internal process',
+    meeting_transcript: 'Meeting transcript',
+    other: 'Other'
+};
+
+// Supported languages and their labels (packs live in src/locales/)
+const LANGUAGES = {
+    en: 'English',
+    es: 'Spanish',
+    de: 'German',
+    fr: 'French'
+};
+
+// Past analyses are kept in IndexedDB so they survive a reload
+const HISTORY_DB = 'semantic-score';
+const HISTORY_STORE = 'analyses';
+const HISTORY_VERSION = 1;
+
+// Trend line colors: overall first, then one per component
+const TREND_COLORS = ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#0ea5e9', '#64748b'];
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -25,7 +59,20 @@ function setupEventListeners() {
     document.getElementById('add-text-btn').addEventListener('click', addText);
     document.getElementById('analyze-btn').addEventListener('click', runAnalysis);
     document.getElementById('export-btn').addEventListener('click', exportResults);
+    document.getElementById('build-glossary-btn').addEventListener('click', buildGlossary);
+    document.querySelectorAll('[data-glossary-format]').forEach(btn =>
+        btn.addEventListener('click', () => downloadGlossary(btn.dataset.glossaryFormat))
+    );
+    document.querySelectorAll('[data-graph-format]').forEach(btn =>
+        btn.addEventListener('click', () => downloadDefinitionGraph(btn.dataset.graphFormat))
+    );
     document.getElementById('start-over-btn').addEventListener('click', startOver);
+    document.querySelectorAll('[data-show-history]').forEach(btn =>
+        btn.addEventListener('click', showHistory)
+    );
+    document.getElementById('history-back-btn').addEventListener('click', leaveHistory);
+    document.getElementById('clear-history-btn').addEventListener('click', clearHistory);
+    document.getElementById('library-file').addEventListener('change', (e) => loadCustomLibrary(e.target.files[0]));
 
     // Enter key for website URL
     document.getElementById('website-url').addEventListener('keypress', (e) => {
@@ -34,25 +81,30 @@ function setupEventListeners() {
 }
 
 function setupFileUploads() {
-    const docDropzone = document.getElementById('doc-dropzone');
-    const docInput = document.getElementById('doc-files');
+    setupDropzone('doc-dropzone', 'doc-files', handleDocumentFiles);
+    setupDropzone('glossary-dropzone', 'glossary-files', handleGlossaryFiles);
+}
+
+function setupDropzone(dropzoneId, inputId, handleFiles) {
+    const dropzone = document.getElementById(dropzoneId);
+    const input = document.getElementById(inputId);
 
-    docDropzone.addEventListener('click', () => docInput.click());
-    docInput.addEventListener('change', (e) => handleDocumentFiles(e.target.files));
+    dropzone.addEventListener('click', () => input.click());
+    input.addEventListener('change', (e) => handleFiles(e.target.files));
 
-    docDropzone.addEventListener('dragover', (e) => {
+    dropzone.addEventListener('dragover', (e) => {
         e.preventDefault();
-        docDropzone.classList.add('dragover');
+        dropzone.classList.add('dragover');
     });
 
-    docDropzone.addEventListener('dragleave', () => {
-        docDropzone.classList.remove('dragover');
+    dropzone.addEventListener('dragleave', () => {
+        dropzone.classList.remove('dragover');
     });
 
-    docDropzone.addEventListener('drop', (e) => {
+    dropzone.addEventListener('drop', (e) => {
         e.preventDefault();
-        docDropzone.classList.remove('dragover');
-        handleDocumentFiles(e.dataTransfer.files);
+        dropzone.classList.remove('dragover');
+        handleFiles(e.dataTransfer.files);
     });
 }
 
@@ -92,6 +144,7 @@ async function addWebsite() {
             showStatus(statusDiv, `Added ${data.pages.length} pages from website`, 'success');
             updateSummary();
             urlInput.value = '';
+            classifyInputs(data.pages);
         } else {
             showStatus(statusDiv, data.error || 'Failed to scrape website', 'error');
         }
@@ -144,6 +197,7 @@ async function handleDocumentFiles(files) {
 
             updateFileInList(itemId, file.name, `${wordCount.toLocaleString()} words`);
             updateSummary();
+            classifyInputs(collectedInputs.filter(inp => inp.id === itemId));
 
         } catch (error) {
             console.error('File error:', error);
@@ -173,6 +227,64 @@ async function extractDocxText(file) {
     return result.value;
 }
 
+// ----- Glossary Handling -----
+
+async function handleGlossaryFiles(files) {
+    const fileList = document.getElementById('glossary-list');
+
+    for (const file of files) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        const itemId = 'glossary_' + Math.random().toString(36).substr(2, 9);
+        addFileToList(fileList, file.name, 'Processing...', itemId);
+
+        try {
+            if (!['csv', 'md', 'json'].includes(ext)) {
+                throw new Error('Unsupported format');
+            }
+
+            // Entries are parsed by the analyze function
+            const content = await file.text();
+            if (!content.trim()) {
+                throw new Error('Empty glossary');
+            }
+
+            const entryCount = countGlossaryEntries(content, ext);
+
+            collectedInputs.push({
+                id: itemId,
+                name: file.name,
+                content,
+                wordCount: 0,
+                type: 'glossary'
+            });
+
+            updateFileInList(itemId, file.name, `~${entryCount} entries`);
+            updateSummary();
+
+        } catch (error) {
+            console.error('Glossary error:', error);
+            updateFileInList(itemId, file.name, 'Error: ' + error.message, true);
+        }
+    }
+}
+
+function countGlossaryEntries(content, ext) {
+    if (ext === 'json') {
+        try {
+            const data = JSON.parse(content);
+            const list = Array.isArray(data) ? data : data.terms || Object.keys(data);
+            return list.length;
+        } catch (e) {
+            throw new Error('Invalid JSON');
+        }
+    }
+
+    const rows = content.split('\n').filter(line => line.trim());
+    const tableRows = ext === 'md' ? rows.filter(line => /^\s*\|/.test(line) && !/^\s*\|[\s:|-]+\|?\s*$/.test(line)) : rows;
+    // The first row is usually a header
+    return Math.max(0, tableRows.length - 1);
+}
+
 // ----- Text Handling -----
 
 function addText() {
@@ -191,18 +303,77 @@ function addText() {
     }
 
     const wordCount = content.split(/\s+/).filter(w => w.length > 0).length;
-
-    collectedInputs.push({
+    const input = {
         id: 'text_' + Math.random().toString(36).substr(2, 9),
         name: `Pasted Text (${wordCount} words)`,
         content,
         wordCount,
         type: 'text'
-    });
+    };
+
+    collectedInputs.push(input);
 
     textarea.value = '';
     showStatus(statusDiv, 'Text added successfully', 'success');
     updateSummary();
+    classifyInputs([input]);
+}
+
+// ----- Document Type Classification -----
+
+async function classifyInputs(inputs) {
+    if (!inputs.length) return;
+
+    try {
+        const response = await fetch('/api/classify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                inputs: inputs.map(({ id, name, content, type }) => ({ id, name, content, type })),
+                useAI: true
+            })
+        });
+
+        if (!response.ok) return;
+        const data = await response.json();
+
+        for (const c of data.classifications) {
+            const input = collectedInputs.find(inp => inp.id === c.id);
+            // Never overwrite a type the user picked
+            if (input && input.documentTypeSource !== 'user') {
+                input.documentType = c.document_type;
+                input.documentTypeSource = c.source;
+                input.documentTypeConfidence = c.confidence;
+            }
+        }
+
+        updateSummary();
+    } catch (error) {
+        // The analysis classifies untyped inputs itself, so this is not fatal
+        console.error('Classification error:', error);
+    }
+}
+
+// ----- Custom Term Library -----
+
+async function loadCustomLibrary(file) {
+    const statusDiv = document.getElementById('library-status');
+
+    if (!file) {
+        customLibrary = null;
+        return;
+    }
+
+    try {
+        // Parsed and validated by the analyze function
+        const source = await file.text();
+        customLibrary = { name: file.name, source };
+        showStatus(statusDiv, `Loaded ${file.name}`, 'success');
+    } catch (error) {
+        console.error('Library error:', error);
+        customLibrary = null;
+        showStatus(statusDiv, 'Could not read library file', 'error');
+    }
 }
 
 // ----- UI Helpers -----
@@ -269,7 +440,9 @@ function updateSummary() {
     sourcesList.innerHTML = collectedInputs.map(inp => `
         <div class="source-item">
             <span class="source-name">${inp.name}</span>
-            <span class="source-words">${(inp.wordCount || 0).toLocaleString()} words</span>
+            ${inp.type === 'glossary' ? '' : renderDocumentTypeSelect(inp)}
+            ${inp.type === 'glossary' ? '' : renderLanguageSelect(inp)}
+            <span class="source-words">${inp.type === 'glossary' ? 'glossary' : `${(inp.wordCount || 0).toLocaleString()} words`}</span>
         </div>
     `).join('');
 
@@ -277,6 +450,53 @@ function updateSummary() {
     document.getElementById('analyze-btn').disabled = collectedInputs.length === 0;
 }
 
+function renderDocumentTypeSelect(input) {
+    const current = input.documentType || (input.type === 'website' ? 'website' : 'other');
+    let origin = 'detecting...';
+    if (input.documentTypeSource === 'user') origin = 'set by you';
+    else if (input.documentTypeSource) origin = `auto, ${Math.round(input.documentTypeConfidence * 100)}%`;
+
+    return `
+        <select class="source-type" onchange="setDocumentType('${input.id}', this.value)" title="Document type">
+            ${Object.entries(DOCUMENT_TYPES).map(([value, label]) =>
+                `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+        </select>
+        <span class="source-type-origin">${origin}</span>
+    `;
+}
+
+function setDocumentType(id, documentType) {
+    const input = collectedInputs.find(inp => inp.id === id);
+    if (!input) return;
+
+    input.documentType = documentType;
+    input.documentTypeSource = 'user';
+    input.documentTypeConfidence = 1;
+    updateSummary();
+}
+
+function renderLanguageSelect(input) {
+    return `
+        <select class="source-type" onchange="setLanguage('${input.id}', this.value)" title="Language">
+            <option value="" ${input.language ? '' : 'selected'}>Auto-detect</option>
+            ${Object.entries(LANGUAGES).map(([value, label]) =>
+                `<option value="${value}" ${value === input.language ? 'selected' : ''}>${label}</option>`
+            ).join('')}
+        </select>
+    `;
+}
+
+function setLanguage(id, language) {
+    const input = collectedInputs.find(inp => inp.id === id);
+    if (!input) return;
+
+    // An empty value hands the choice back to detection
+    if (language) input.language = language;
+    else delete input.language;
+    updateSummary();
+}
+
 // ----- Analysis -----
 
 async function runAnalysis() {
@@ -309,6 +529,7 @@ async function runAnalysis() {
 
     try {
         const companySize = parseInt(document.getElementById('company-size').value) || 50;
+        const debtModel = collectDebtModel();
 
         const response = await fetch('/api/analyze', {
             method: 'POST',
@@ -316,7 +537,11 @@ async function runAnalysis() {
             body: JSON.stringify({
                 inputs: collectedInputs,
                 companySize,
-                useAI: true
+                useAI: true,
+                termLibrary: customLibrary ? customLibrary.source : null,
+                ignoreList: document.getElementById('ignore-list').value,
+                acronymAllowlist: document.getElementById('acronym-allowlist').value,
+                debtModel
             })
         });
 
@@ -328,6 +553,8 @@ async function runAnalysis() {
         if (response.ok) {
             const data = await response.json();
             analysisResult = data;
+            definitionEdits = {};
+            saveAnalysis(data);
             setTimeout(() => {
                 showSection('results-section');
                 updateStep(3);
@@ -374,8 +601,20 @@ function renderResults(result) {
     document.getElementById('score-interpretation').textContent = getInterpretation(result.score_band);
 
     renderComponents(result.components);
+    renderDocumentScores(result.document_scores);
     renderRiskTerms(result.high_risk_terms);
-    renderASPIRE(result.aspire_scores);
+    renderConsistencyVerdicts(result.consistency_verdicts);
+    renderSynonymGroups(result.synonym_groups);
+    renderAcronymRegistry(result.acronym_registry);
+    renderGlossaryConflicts(result.glossary_conflicts);
+    renderTranslationChecks(result.translation_checks);
+    renderDefinitionGraph(result.definition_graph);
+    renderResponsibilityMatrix(result.responsibility_matrix);
+    renderUnboundedPromises(result.unbounded_promises);
+    renderCommitments(result.commitments);
+    renderSuppressedMatches(result.suppressed_matches);
+    renderDocumentViewer(result);
+    renderASPIRE(result.aspire_scores, result.aspire_dimensions);
     renderMeaningDebt(result.meaning_debt);
     renderActionPlan(result.action_plan);
 }
@@ -408,22 +647,89 @@ function renderComponents(components) {
     list.innerHTML = components.map(comp => {
         const color = comp.score >= 70 ? '#10b981' : comp.score >= 50 ? '#f59e0b' : '#ef4444';
         return `
-            <div class="component-item">
-                <div class="component-info">
-                    <div class="component-name">${comp.name}</div>
-                    <div class="component-detail">${formatDetail(comp.details)}</div>
-                </div>
-                <div class="component-bar">
-                    <div class="component-bar-fill" style="width: ${comp.score}%; background: ${color}"></div>
+            <div class="component-block">
+                <div class="component-item">
+                    <div class="component-info">
+                        <div class="component-name">${comp.name}</div>
+                        <div class="component-detail">${formatDetail(comp.details)}</div>
+                    </div>
+                    <div class="component-bar">
+                        <div class="component-bar-fill" style="width: ${comp.score}%; background: ${color}"></div>
+                    </div>
+                    <div class="component-score" style="color: ${color}">${Math.round(comp.score)}</div>
                 </div>
-                <div class="component-score" style="color: ${color}">${Math.round(comp.score)}</div>
+                ${renderComponentExplanation(comp)}
             </div>
         `;
     }).join('');
 }
 
+function renderComponentExplanation(comp) {
+    if (!comp.explanation) return '';
+
+    return `
+        <details class="component-why">
+            <summary>Why ${Math.round(comp.score)}?${comp.defaulted ? ' (default score)' : ''}</summary>
+            <p class="component-explanation">${escapeHtml(comp.explanation)}</p>
+            ${(comp.evidence || []).length ? `
+                <ol class="component-evidence">
+                    ${comp.evidence.map(e => `
+                        <li>
+                            <span class="component-evidence-effect">${e.effect}</span>
+                            <div>
+                                <div>${escapeHtml(e.reason)}</div>
+                                ${e.excerpt ? `<div class="component-evidence-excerpt">"${escapeHtml(e.excerpt)}" &middot; ${escapeHtml(e.document)}</div>` : ''}
+                            </div>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        </details>
+    `;
+}
+
+function renderDocumentScores(documents) {
+    const card = document.getElementById('document-scores-card');
+    const list = document.getElementById('document-scores-list');
+
+    // A single source would just repeat the overall score
+    if (!documents || documents.length < 2) {
+        card.classList.add('hidden');
+        list.innerHTML = '';
+        return;
+    }
+
+    card.classList.remove('hidden');
+    list.innerHTML = documents.map(doc => `
+        <details class="document-score">
+            <summary class="document-score-header">
+                <span class="document-score-value" style="color: ${getScoreColor(doc.score_band)}">${Math.round(doc.overall_score)}</span>
+                <span class="document-score-name">${escapeHtml(doc.name)}</span>
+                <span class="document-score-type">${DOCUMENT_TYPES[doc.document_type] || doc.document_type}</span>
+                <span class="document-score-type">${LANGUAGES[doc.language] || doc.language}</span>
+                <span class="document-score-band" style="color: ${getScoreColor(doc.score_band)}">${formatBand(doc.score_band)}</span>
+            </summary>
+            <div class="document-score-components">
+                ${doc.components.map(c => `
+                    <div class="document-score-component" title="${escapeHtml(c.explanation || '')}">
+                        <span>${c.name}${c.defaulted ? ' <small>(default)</small>' : ''}</span>
+                        <strong>${Math.round(c.score)}</strong>
+                    </div>
+                `).join('')}
+            </div>
+            ${doc.high_risk_terms.length ? `
+                <div class="document-score-terms">
+                    <strong>High-risk terms:</strong>
+                    ${doc.high_risk_terms.map(t => `<span class="risk-badge ${t.risk_level}">${escapeHtml(t.term)}</span>`).join(' ')}
+                </div>
+            ` : ''}
+        </details>
+    `).join('');
+}
+
 function formatDetail(details) {
     if (details.terms_defined !== undefined) return `${details.terms_defined} of ${details.terms_found} terms defined`;
+    if (details.document_pairs_checked) return `${details.inconsistent_pairs} of ${details.document_pairs_checked} document pairs disagree`;
     if (details.inconsistent !== undefined) return `${details.inconsistent} inconsistent terms`;
     if (details.vague_patterns_found !== undefined) return `${details.vague_patterns_found} vague patterns`;
     return '';
@@ -442,23 +748,576 @@ function renderRiskTerms(terms) {
             <span class="risk-badge ${term.risk_level}">${term.risk_level}</span>
             <div class="risk-term-content">
                 <div class="risk-term-name">"${term.term}"</div>
-                <div class="risk-term-issue">Found ${term.occurrences} times across ${term.documents.length} source(s). ${formatIssue(term.issue)}</div>
+                <div class="risk-term-issue">Found ${term.occurrences} times across ${term.documents.length} source(s). ${formatIssue(term.issue)}${term.document_weight > 1 ? ` (weighted ×${term.document_weight} for document type)` : ''}</div>
+                ${formatVariants(term.variants)}
+                ${formatSenses(term)}
+                ${formatExamples(term)}
                 <div class="risk-term-recommendation">${term.recommendation}</div>
+                ${formatDraftDefinition(term)}
             </div>
         </div>
     `).join('');
 }
 
+function formatVariants(variants) {
+    if (!variants || variants.length < 2) return '';
+    const parts = variants.map(v => `${escapeHtml(v.form)} (${v.occurrences})`).join(', ');
+    return `<div class="risk-term-variants">Variants: ${parts}</div>`;
+}
+
+function formatExamples(term) {
+    if (!term.examples || !term.examples.length) return '';
+
+    const forms = (term.variants || [{ form: term.term }]).map(v => v.form);
+    return `
+        <div class="risk-term-examples">
+            ${term.examples.map(ex => `
+                <div class="risk-term-example">
+                    <div class="example-source">${escapeHtml(ex.document)}${ex.heading ? ` &rsaquo; ${escapeHtml(ex.heading)}` : ''}</div>
+                    <div class="example-sentence">${highlightForms(ex.sentence, forms)}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function formatSenses(term) {
+    if (!term.senses || term.senses.length < 2) return '';
+
+    const forms = (term.variants || [{ form: term.term }]).map(v => v.form);
+    return `
+        <div class="risk-term-senses">
+            <div class="senses-title">${term.senses.length} distinct senses &mdash; choose one to standardize on</div>
+            ${term.senses.map(sense => `
+                <details class="sense">
+                    <summary>
+                        <span class="sense-label">${escapeHtml(sense.label)}</span>
+                        <span class="sense-docs">${sense.documents.map(escapeHtml).join(', ')}</span>
+                    </summary>
+                    ${sense.occurrences.map(o => `
+                        <div class="risk-term-example">
+                            <div class="example-source">${escapeHtml(o.document)}${o.heading ? ` &rsaquo; ${escapeHtml(o.heading)}` : ''}</div>
+                            <div class="example-sentence">${highlightForms(o.sentence, forms)}</div>
+                        </div>
+                    `).join('')}
+                </details>
+            `).join('')}
+        </div>
+    `;
+}
+
+function formatDraftDefinition(term) {
+    if (!term.draft_definition) return '';
+
+    const draft = term.draft_definition;
+    const warnings = [
+        draft.has_threshold ? '' : 'no measurable threshold',
+        draft.has_boundary ? '' : 'no inclusions or exclusions'
+    ].filter(Boolean);
+
+    return `
+        <div class="draft-definition">
+            <label class="draft-definition-title">Draft definition (based on ${draft.based_on_usages} usages) &mdash; edit before exporting</label>
+            <textarea class="draft-definition-text" rows="3"
+                oninput="updateDefinitionDraft(this.dataset.term, this.value)"
+                data-term="${escapeHtml(term.term)}">${escapeHtml(getDefinitionText(term))}</textarea>
+            ${warnings.length ? `<div class="draft-definition-warning">Check the draft: ${warnings.join(', ')}</div>` : ''}
+        </div>
+    `;
+}
+
+function updateDefinitionDraft(term, text) {
+    definitionEdits[term] = text;
+}
+
+// The user's edit wins over the AI draft
+function getDefinitionText(term) {
+    if (term.term in definitionEdits) return definitionEdits[term.term];
+    return term.draft_definition ? term.draft_definition.text : '';
+}
+
+function highlightForms(text, forms) {
+    const pattern = forms
+        .map(f => f.split(/[\s-]+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s-]?'))
+        .join('|');
+    // Unicode-aware word edges so accented forms ("garantía") are highlighted whole
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${pattern})(?![\\p{L}\\p{N}_])`, 'giu');
+
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(regex)) {
+        html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
 function formatIssue(issue) {
     const issues = {
         'undefined': 'No definition found.',
         'inconsistent_meaning': 'Different meanings across documents.',
-        'high_frequency': 'Frequently used but undefined.'
+        'high_frequency': 'Frequently used but undefined.',
+        'undefined_and_inconsistent': 'No definition, and different meanings across documents.',
+        'high_frequency_undefined': 'Used often; review its definition for clarity.',
+        'contradicts_glossary': 'Used differently from the glossary definition.'
     };
     return issues[issue] || issue;
 }
 
-function renderASPIRE(scores) {
+function renderConsistencyVerdicts(verdicts) {
+    const card = document.getElementById('consistency-card');
+    const list = document.getElementById('consistency-list');
+    const disagreements = (verdicts || []).filter(v => !v.consistent);
+
+    if (!disagreements.length) {
+        card.classList.add('hidden');
+        list.innerHTML = '';
+        return;
+    }
+
+    const byTerm = {};
+    for (const verdict of verdicts) {
+        if (!byTerm[verdict.term]) byTerm[verdict.term] = { pairs: 0, conflicts: [] };
+        byTerm[verdict.term].pairs++;
+        if (!verdict.consistent) byTerm[verdict.term].conflicts.push(verdict);
+    }
+
+    card.classList.remove('hidden');
+    list.innerHTML = Object.entries(byTerm)
+        .filter(([, group]) => group.conflicts.length)
+        .map(([term, group]) => `
+            <div class="consistency-term">
+                <div class="risk-term-name">"${escapeHtml(term)}" &mdash; ${group.conflicts.length} of ${group.pairs} document pairs disagree</div>
+                ${group.conflicts.map(c => `
+                    <div class="consistency-pair">
+                        <strong>${escapeHtml(c.document_a)}</strong> vs <strong>${escapeHtml(c.document_b)}</strong>${c.details ? `: ${escapeHtml(c.details)}` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+}
+
+function renderSynonymGroups(groups) {
+    const card = document.getElementById('synonym-card');
+    const list = document.getElementById('synonym-list');
+
+    if (!groups || !groups.length) {
+        card.classList.add('hidden');
+        list.innerHTML = '';
+        return;
+    }
+
+    card.classList.remove('hidden');
+    list.innerHTML = groups.map(group => `
+        <div class="consistency-term">
+            <div class="risk-term-name">${group.words.map(w => `"${escapeHtml(w.word)}"`).join(', ')}</div>
+            <div class="risk-term-issue">${escapeHtml(formatCategory(group.concept))}${group.source === 'ai' ? ' (suggested by AI)' : ''} &middot; most used: "${escapeHtml(group.dominant)}"</div>
+            ${group.words.map(w => `
+                <div class="consistency-pair">
+                    <strong>${escapeHtml(w.word)}</strong> (${w.count}): ${w.documents.map(escapeHtml).join(', ')}
+                </div>
+            `).join('')}
+            ${group.mixed_documents.length ? `<div class="consistency-pair">Switches words within: ${group.mixed_documents.map(escapeHtml).join(', ')}</div>` : ''}
+        </div>
+    `).join('');
+}
+
+const ACRONYM_STATUS_LABELS = {
+    conflicting: 'Conflicting expansions',
+    unexplained: 'Never spelled out',
+    explained: 'Spelled out',
+    allowlisted: 'Commonly known'
+};
+
+function renderAcronymRegistry(registry) {
+    const card = document.getElementById('acronym-card');
+    const list = document.getElementById('acronym-list');
+
+    if (!registry || !registry.length) {
+        card.classList.add('hidden');
+        list.innerHTML = '';
+        return;
+    }
+
+    card.classList.remove('hidden');
+    list.innerHTML = registry.map(entry => `
+        <div class="acronym-entry ${entry.status}">
+            <div class="acronym-entry-header">
+                <span class="risk-term-name">${escapeHtml(entry.acronym)}</span>
+                <span class="glossary-entry-meta">${ACRONYM_STATUS_LABELS[entry.status]} &middot; ${entry.occurrences} use(s) in ${entry.documents.map(escapeHtml).join(', ')}</span>
+            </div>
+            ${entry.expansions.map(e => `
+                <div class="consistency-pair"><strong>${escapeHtml(e.expansion)}</strong> in ${e.documents.map(escapeHtml).join(', ')}</div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+function renderGlossaryConflicts(conflicts) {
+    const card = document.getElementById('glossary-conflicts-card');
+    const list = document.getElementById('glossary-conflicts-list');
+
+    if (!conflicts || !conflicts.length) {
+        card.classList.add('hidden');
+        list.innerHTML = '';
+        return;
+    }
+
+    card.classList.remove('hidden');
+    list.innerHTML = conflicts.map(c => `
+        <div class="glossary-conflict">
+            <div class="risk-term-name">"${escapeHtml(c.term)}" in ${escapeHtml(c.document)}</div>
+            <div class="risk-term-issue">${escapeHtml(c.reason)}</div>
+            <div class="glossary-conflict-texts">
+                <div><strong>Glossary:</strong> ${escapeHtml(c.glossary_definition || '')}</div>
+                <div><strong>Document:</strong> ${escapeHtml(c.excerpt || '')}</div>
+            </div>
+        </div>
+    `).join('');
+}
+
+const TRANSLATION_STATUS_LABELS = {
+    consistent: 'Same meaning',
+    conflicting: 'Meanings differ',
+    undefined: 'Not defined in every language'
+};
+
+function renderTranslationChecks(checks) {
+    const card = document.getElementById('translation-card');
+    const list = document.getElementById('translation-list');
+
+    if (!checks || !checks.length) {
+        card.classList.add('hidden');
+        list.innerHTML = '';
+        return;
+    }
+
+    card.classList.remove('hidden');
+    list.innerHTML = checks.map(check => `
+        <div class="translation-check ${check.status}">
+            <div class="acronym-entry-header">
+                <span class="risk-term-name">${escapeHtml(check.term)}</span>
+                <span class="glossary-entry-meta">${TRANSLATION_STATUS_LABELS[check.status]}</span>
+            </div>
+            ${check.languages.map(l => `
+                <div class="consistency-pair">
+                    <strong>${escapeHtml(l.form)}</strong> (${LANGUAGES[l.language] || l.language}, ${l.documents.map(escapeHtml).join(', ')}):
+                    ${l.definition ? `"${escapeHtml(l.definition)}"` : '<em>no definition</em>'}
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+// ----- Responsibility Matrix -----
+
+const OWNERSHIP_STATUS_LABELS = {
+    conflicting: 'Conflicting owners',
+    unowned: 'No owner',
+    owned: 'Owned'
+};
+
+function renderResponsibilityMatrix(matrix) {
+    const card = document.getElementById('responsibility-card');
+    const container = document.getElementById('responsibility-matrix');
+
+    if (!matrix || !matrix.length) {
+        card.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    card.classList.remove('hidden');
+    container.innerHTML = `
+        <table class="responsibility-table">
+            <thead>
+                <tr><th>Activity</th><th>Owner</th><th>Stated in</th></tr>
+            </thead>
+            <tbody>
+                ${matrix.map(row => `
+                    <tr class="responsibility-row ${row.status}">
+                        <td>
+                            ${escapeHtml(row.activity)}
+                            ${row.status !== 'owned' ? `<span class="responsibility-status">${OWNERSHIP_STATUS_LABELS[row.status]}</span>` : ''}
+                        </td>
+                        <td>${formatOwners(row.owners)}</td>
+                        <td>${row.documents.map(escapeHtml).join(', ')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+}
+
+function formatOwners(owners) {
+    if (!owners.length) return '&mdash;';
+    return owners
+        .map(o => `<strong>${escapeHtml(o.owner)}</strong> <small>(${o.documents.map(escapeHtml).join(', ')})</small>`)
+        .join('<br>');
+}
+
+// ----- Unbounded Promises -----
+
+function renderUnboundedPromises(promises) {
+    const card = document.getElementById('unbounded-promises-card');
+    const container = document.getElementById('unbounded-promises');
+
+    if (!promises || !promises.length) {
+        card.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    card.classList.remove('hidden');
+    container.innerHTML = promises.map(p => `
+        <div class="unbounded-promise">
+            <div>${highlightForms(p.text, p.promise_words)}</div>
+            <div class="unbounded-promise-source">${escapeHtml(p.document)}</div>
+        </div>
+    `).join('');
+}
+
+// ----- Commitments Ledger -----
+
+function renderCommitments(commitments) {
+    const card = document.getElementById('commitments-card');
+    const container = document.getElementById('commitments-ledger');
+
+    if (!commitments || !commitments.length) {
+        card.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    const sorted = [...commitments].sort((a, b) => b.conflict - a.conflict || a.subject.localeCompare(b.subject));
+
+    card.classList.remove('hidden');
+    container.innerHTML = `
+        <table class="responsibility-table">
+            <thead>
+                <tr><th>Subject</th><th>Commitment</th><th>Limit</th><th>Stated in</th></tr>
+            </thead>
+            <tbody>
+                ${sorted.map(c => `
+                    <tr class="commitment-row ${c.conflict ? 'conflict' : ''}">
+                        <td>
+                            ${escapeHtml(c.subject)}
+                            ${c.conflict ? '<span class="commitment-conflict">Contradicted in another document</span>' : ''}
+                        </td>
+                        <td>${escapeHtml(c.text)}</td>
+                        <td>${formatCommitmentLimit(c)}</td>
+                        <td>${escapeHtml(c.document)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+}
+
+function formatCommitmentLimit(commitment) {
+    const bound = commitment.limit_type === 'minimum' ? 'at least' : 'at most';
+    const unit = commitment.unit === '%' ? '%' : ` ${escapeHtml(commitment.unit)}`;
+    return `${bound} ${commitment.quantity}${unit}${commitment.period ? ` per ${escapeHtml(commitment.period)}` : ''}`;
+}
+
+// ----- Definition Dependencies -----
+
+function renderDefinitionGraph(graph) {
+    const card = document.getElementById('definition-graph-card');
+
+    if (!graph || !graph.edges.length) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    card.classList.remove('hidden');
+
+    document.getElementById('definition-cycles').innerHTML = graph.cycles.map(cycle => `
+        <div class="definition-cycle">Circular: ${cycle.concat(cycle[0]).map(escapeHtml).join(' &rarr; ')}</div>
+    `).join('');
+
+    document.getElementById('definition-graph').innerHTML = drawDefinitionGraph(graph);
+
+    const hollow = graph.nodes.filter(n => n.circular || n.undefined_dependencies.length);
+    document.getElementById('definition-graph-list').innerHTML = hollow.length === 0
+        ? '<p class="no-data">Every definition rests on defined terms.</p>'
+        : hollow.map(n => `
+            <div class="definition-graph-item">
+                <span class="risk-term-name">${escapeHtml(n.term)}</span>
+                ${n.circular ? '<span class="risk-badge high">circular</span>' : ''}
+                ${n.undefined_dependencies.length ? `<span class="risk-term-issue">relies on undefined: ${n.undefined_dependencies.map(escapeHtml).join(', ')}</span>` : ''}
+            </div>
+        `).join('');
+}
+
+function getGraphNodeStatus(node) {
+    if (node.circular) return 'circular';
+    if (node.undefined_dependencies.length) return 'hollow';
+    return node.defined ? 'defined' : 'undefined';
+}
+
+// Terms on a circle, arrows from each definition to the terms it uses
+function drawDefinitionGraph(graph) {
+    const size = 360;
+    const center = size / 2;
+    const radius = size / 2 - 50;
+    const positions = new Map(graph.nodes.map((node, i) => {
+        const angle = (2 * Math.PI * i) / graph.nodes.length - Math.PI / 2;
+        return [node.id, { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) }];
+    }));
+
+    const edges = graph.edges.map(edge => {
+        const from = positions.get(edge.from);
+        const to = positions.get(edge.to);
+        if (edge.from === edge.to) {
+            return `<circle class="graph-edge" cx="${from.x}" cy="${from.y - 14}" r="10" />`;
+        }
+        // Stop short of the target so the arrowhead stays visible
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const endX = to.x - (dx / length) * 10;
+        const endY = to.y - (dy / length) * 10;
+        return `<line class="graph-edge" x1="${from.x}" y1="${from.y}" x2="${endX}" y2="${endY}" marker-end="url(#graph-arrow)" />`;
+    }).join('');
+
+    const nodes = graph.nodes.map(node => {
+        const { x, y } = positions.get(node.id);
+        return `
+            <g class="graph-node ${getGraphNodeStatus(node)}">
+                <circle cx="${x}" cy="${y}" r="7" />
+                <text x="${x}" y="${y + 20}" text-anchor="middle">${escapeHtml(node.term)}</text>
+            </g>`;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 ${size} ${size}" role="img" aria-label="Definition dependency graph">
+            <defs>
+                <marker id="graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M0,0 L10,5 L0,10 z" />
+                </marker>
+            </defs>
+            ${edges}
+            ${nodes}
+        </svg>`;
+}
+
+function downloadDefinitionGraph(format) {
+    if (!analysisResult || !analysisResult.definition_graph) return;
+
+    const graph = analysisResult.definition_graph;
+    const date = new Date().toISOString().split('T')[0];
+
+    if (format === 'json') {
+        downloadFile(JSON.stringify(graph, null, 2) + '\n', `definition-graph-${date}.json`, 'application/json');
+    } else {
+        downloadFile(formatDefinitionGraphDot(graph), `definition-graph-${date}.dot`, 'text/vnd.graphviz');
+    }
+}
+
+function formatDefinitionGraphDot(graph) {
+    const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const colors = { circular: '#ef4444', hollow: '#f59e0b', defined: '#10b981', undefined: '#94a3b8' };
+    const terms = new Map(graph.nodes.map(n => [n.id, n.term]));
+
+    return [
+        'digraph definitions {',
+        '  node [shape=box, style=rounded];',
+        ...graph.nodes.map(n => `  ${quote(n.term)} [color=${quote(colors[getGraphNodeStatus(n)])}];`),
+        ...graph.edges.map(e => `  ${quote(terms.get(e.from))} -> ${quote(terms.get(e.to))};`),
+        '}'
+    ].join('\n') + '\n';
+}
+
+function renderSuppressedMatches(matches) {
+    const card = document.getElementById('suppressed-card');
+    const list = document.getElementById('suppressed-list');
+
+    if (!matches || !matches.length) {
+        card.classList.add('hidden');
+        list.innerHTML = '';
+        return;
+    }
+
+    card.classList.remove('hidden');
+    list.innerHTML = matches.map(m => `
+        <div class="suppressed-match">
+            <div class="suppressed-match-header">
+                <span class="risk-term-name">"${escapeHtml(m.term)}"</span>
+                <span class="example-source">${escapeHtml(m.document)}</span>
+            </div>
+            <div class="example-sentence">${highlightForms(m.sentence, [m.term])}</div>
+            <div class="suppressed-reason">${escapeHtml(m.reason)}</div>
+        </div>
+    `).join('');
+}
+
+// ----- Document Viewer -----
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+
+function renderDocumentViewer(result) {
+    const card = document.getElementById('viewer-card');
+    const select = document.getElementById('viewer-document');
+
+    // Only inputs still held in the browser can be shown
+    const documents = (result.documents || []).filter(d => collectedInputs.some(inp => inp.id === d.id));
+
+    if (!documents.length) {
+        card.classList.add('hidden');
+        return;
+    }
+
+    card.classList.remove('hidden');
+    select.innerHTML = documents.map(d => `<option value="${escapeHtml(d.id)}">${escapeHtml(d.name)}</option>`).join('');
+    select.onchange = showViewerDocument;
+    document.getElementById('viewer-component').onchange = showViewerDocument;
+
+    showViewerDocument();
+}
+
+function showViewerDocument() {
+    const id = document.getElementById('viewer-document').value;
+    const component = document.getElementById('viewer-component').value;
+    const input = collectedInputs.find(inp => inp.id === id);
+    if (!input || !analysisResult) return;
+
+    const findings = (analysisResult.findings || [])
+        .filter(f => f.inputId === id && (!component || f.component === component));
+
+    document.getElementById('viewer-content').innerHTML = highlightFindings(input.content, findings);
+}
+
+function highlightFindings(text, findings) {
+    // Cut the text at every finding boundary so overlapping findings share one mark
+    const cuts = new Set([0, text.length]);
+    for (const f of findings) {
+        cuts.add(f.start);
+        cuts.add(f.end);
+    }
+    const points = [...cuts].sort((a, b) => a - b);
+
+    let html = '';
+    for (let i = 0; i < points.length - 1; i++) {
+        const from = points[i];
+        const to = points[i + 1];
+        const piece = escapeHtml(text.slice(from, to));
+        const covering = findings.filter(f => f.start <= from && f.end >= to);
+
+        if (!covering.length) {
+            html += piece;
+            continue;
+        }
+
+        const severity = covering
+            .map(f => f.severity)
+            .reduce((worst, s) => SEVERITY_ORDER.indexOf(s) > SEVERITY_ORDER.indexOf(worst) ? s : worst);
+        const title = covering.map(f => f.message).join('\n');
+        html += `<mark class="finding finding-${severity}" title="${escapeHtml(title)}">${piece}</mark>`;
+    }
+
+    return html;
+}
+
+function renderASPIRE(scores, dimensions) {
     const chart = document.getElementById('aspire-chart');
     const stages = [
         { key: 'alignment', label: 'Align' },
@@ -482,16 +1341,40 @@ function renderASPIRE(scores) {
             </div>
         `;
     }).join('');
+
+    document.getElementById('aspire-drivers').innerHTML = (dimensions || []).map(d => `
+        <details class="aspire-driver">
+            <summary><strong>${escapeHtml(d.label)}</strong>: ${escapeHtml(d.explanation)}</summary>
+            ${d.factors.length ? `
+                <div class="aspire-factors">
+                    ${d.factors.map(f => `<span class="aspire-factor">${formatCategory(f.factor)} ${f.score} &times;${f.weight} &middot; ${f.evidence} item(s)</span>`).join('')}
+                </div>
+            ` : ''}
+            ${d.terms.length ? `<div>Terms: ${d.terms.map(t => `"${escapeHtml(t)}"`).join(', ')}</div>` : ''}
+        </details>
+    `).join('');
+}
+
+// Meaning-debt assumptions from the optional inputs; blank amounts use the industry preset
+function collectDebtModel() {
+    const amount = id => parseFloat(document.getElementById(id).value) || undefined;
+
+    return {
+        industry: document.getElementById('debt-industry').value,
+        currency: document.getElementById('debt-currency').value.trim().toUpperCase() || 'USD',
+        averageSalary: amount('debt-salary'),
+        dealSize: amount('debt-deal-size'),
+        escalationCost: amount('debt-escalation-cost')
+    };
 }
 
 function renderMeaningDebt(debt) {
     const container = document.getElementById('debt-estimate');
-
-    const fmt = (n) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(n);
+    const fmt = n => formatCurrency(n, debt.currency);
 
     container.innerHTML = `
         <div class="debt-range">${fmt(debt.low_estimate)} - ${fmt(debt.high_estimate)}</div>
-        <div class="debt-period">Estimated annual cost of meaning debt</div>
+        <div class="debt-period">Estimated annual cost of meaning debt (central estimate ${fmt(debt.estimate)})</div>
         <div class="debt-breakdown">
             ${Object.entries(debt.breakdown || {}).map(([key, val]) => `
                 <div class="debt-item">
@@ -500,6 +1383,34 @@ function renderMeaningDebt(debt) {
                 </div>
             `).join('')}
         </div>
+        <div class="debt-details">
+            ${(debt.sensitivity || []).length ? `
+                <h4>What drives the estimate</h4>
+                <table class="debt-table">
+                    ${debt.sensitivity.slice(0, 5).map(s => `
+                        <tr>
+                            <td>${formatCategory(s.assumption)} <small>(${s.source === 'user' ? 'yours' : 'preset'}: ${s.low_value} to ${s.high_value})</small></td>
+                            <td>${fmt(s.low_estimate)} - ${fmt(s.high_estimate)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            ` : ''}
+            ${(debt.term_attribution || []).length ? `
+                <h4>Debt by term (fix these first)</h4>
+                <table class="debt-table">
+                    ${debt.term_attribution.slice(0, 5).map(t => `
+                        <tr><td>"${escapeHtml(t.term)}"</td><td>${fmt(t.estimate)}</td></tr>
+                    `).join('')}
+                </table>
+            ` : ''}
+            ${debt.assumptions ? `
+                <div class="debt-assumptions">
+                    Assumptions: ${formatCategory(debt.assumptions.industry)} preset, ${debt.assumptions.company_size} employees,
+                    salary ${fmt(debt.assumptions.average_salary)}, deal size ${fmt(debt.assumptions.deal_size)},
+                    escalation ${fmt(debt.assumptions.escalation_cost)}
+                </div>
+            ` : ''}
+        </div>
     `;
 }
 
@@ -535,6 +1446,243 @@ function renderActionPlan(actions) {
         `).join('');
 }
 
+// ----- History -----
+
+function openHistoryDb() {
+    if (!historyDb) {
+        historyDb = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('This browser cannot store analyses'));
+                return;
+            }
+            const request = indexedDB.open(HISTORY_DB, HISTORY_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('timestamp', 'timestamp');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return historyDb;
+}
+
+// Run one request against the history store; resolves once the transaction commits
+async function historyRequest(mode, makeRequest) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        const request = makeRequest(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// The scores are copied out of the result so the history list and chart
+// do not depend on the result's shape. The full documents are not stored,
+// but the result keeps the sentences and quotes its findings cite
+async function saveAnalysis(result) {
+    const record = {
+        timestamp: result.analysis_timestamp || new Date().toISOString(),
+        overall_score: result.overall_score,
+        score_band: result.score_band,
+        components: result.components.map(c => ({ name: c.name, score: c.score })),
+        documents: (result.documents || []).map(d => d.name),
+        result
+    };
+
+    try {
+        await historyRequest('readwrite', store => store.add(record));
+    } catch (error) {
+        console.error('History save error:', error);
+    }
+}
+
+async function showHistory() {
+    showSection('history-section');
+
+    try {
+        historyRecords = await historyRequest('readonly', store => store.index('timestamp').getAll());
+    } catch (error) {
+        console.error('History load error:', error);
+        document.getElementById('history-summary').textContent = '';
+        document.getElementById('history-chart').innerHTML = '';
+        document.getElementById('history-legend').innerHTML = '';
+        document.getElementById('history-list').innerHTML = `<p class="no-data">History is unavailable: ${escapeHtml(error.message)}</p>`;
+        return;
+    }
+
+    renderHistory(historyRecords);
+}
+
+function leaveHistory() {
+    if (analysisResult) {
+        showSection('results-section');
+        updateStep(3);
+    } else {
+        showSection('input-section');
+        updateStep(1);
+    }
+}
+
+function renderHistory(records) {
+    document.getElementById('clear-history-btn').disabled = records.length === 0;
+    renderTrendChart(records);
+
+    // Newest first in the list; the chart reads left to right in time
+    document.getElementById('history-list').innerHTML = records.length === 0
+        ? '<p class="no-data">No saved analyses yet. Every analysis you run is saved here.</p>'
+        : [...records].reverse().map(r => `
+            <div class="history-item">
+                <div class="history-score" style="color: ${getScoreColor(r.score_band)}">${Math.round(r.overall_score)}</div>
+                <div class="history-info">
+                    <div class="history-date">${escapeHtml(formatHistoryDate(r.timestamp))} &middot; ${escapeHtml(formatBand(r.score_band))}</div>
+                    <div class="history-documents">${r.documents.length} document(s): ${r.documents.map(escapeHtml).join(', ')}</div>
+                </div>
+                <button class="btn btn-secondary" onclick="openAnalysis(${r.id})">Open</button>
+                <button class="remove-btn" onclick="deleteAnalysis(${r.id})" title="Delete this analysis">&times;</button>
+            </div>
+        `).join('');
+}
+
+function renderTrendChart(records) {
+    const summary = document.getElementById('history-summary');
+    const chart = document.getElementById('history-chart');
+    const legend = document.getElementById('history-legend');
+
+    if (records.length === 0) {
+        summary.textContent = '';
+        chart.innerHTML = '';
+        legend.innerHTML = '';
+        return;
+    }
+
+    const first = records[0];
+    const last = records[records.length - 1];
+    const change = Math.round(last.overall_score) - Math.round(first.overall_score);
+    summary.textContent = records.length === 1
+        ? `One analysis so far, scoring ${Math.round(last.overall_score)}. Run another after your next round of fixes to start a trend.`
+        : `Overall score went from ${Math.round(first.overall_score)} to ${Math.round(last.overall_score)} (${change >= 0 ? '+' : ''}${change}) across ${records.length} analyses since ${formatHistoryDate(first.timestamp)}.`;
+
+    const componentNames = [...new Set(records.flatMap(r => r.components.map(c => c.name)))];
+    const series = [
+        { name: 'Overall', overall: true, points: records.map(r => ({ record: r, score: r.overall_score })) },
+        ...componentNames.map(name => ({
+            name,
+            points: records
+                .map(r => ({ record: r, score: (r.components.find(c => c.name === name) || {}).score }))
+                .filter(p => typeof p.score === 'number')
+        }))
+    ].map((s, i) => ({ ...s, color: TREND_COLORS[i % TREND_COLORS.length] }));
+
+    chart.innerHTML = drawTrendChart(records, series.filter(s => !hiddenTrendSeries.has(s.name)));
+
+    legend.innerHTML = series.map(s => `
+        <label class="trend-legend-item">
+            <input type="checkbox" ${hiddenTrendSeries.has(s.name) ? '' : 'checked'} onchange="toggleTrendSeries(this.dataset.series, this.checked)" data-series="${escapeHtml(s.name)}">
+            <span class="trend-swatch" style="background: ${s.color}"></span>
+            ${escapeHtml(s.name)}
+        </label>
+    `).join('');
+}
+
+// Scores against time, 0-100 on the y axis; runs on the same moment are spread evenly
+function drawTrendChart(records, series) {
+    const width = 640;
+    const height = 260;
+    const pad = { top: 12, right: 16, bottom: 28, left: 36 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+
+    const times = records.map(r => new Date(r.timestamp).getTime());
+    const start = times[0];
+    const span = times[times.length - 1] - start;
+    const xOf = record => {
+        if (records.length === 1) return pad.left + plotWidth / 2;
+        const fraction = span > 0
+            ? (new Date(record.timestamp).getTime() - start) / span
+            : records.indexOf(record) / (records.length - 1);
+        return pad.left + fraction * plotWidth;
+    };
+    const yOf = score => pad.top + (1 - score / 100) * plotHeight;
+
+    const grid = [0, 25, 50, 75, 100].map(v => `
+        <line class="trend-grid" x1="${pad.left}" y1="${yOf(v)}" x2="${width - pad.right}" y2="${yOf(v)}" />
+        <text class="trend-axis" x="${pad.left - 6}" y="${yOf(v) + 4}" text-anchor="end">${v}</text>
+    `).join('');
+
+    const dates = records.length === 1 ? [records[0]] : [records[0], records[records.length - 1]];
+    const axis = dates.map((r, i) => `
+        <text class="trend-axis" x="${xOf(r)}" y="${height - 8}" text-anchor="${dates.length === 1 ? 'middle' : i === 0 ? 'start' : 'end'}">${escapeHtml(formatHistoryDate(r.timestamp))}</text>
+    `).join('');
+
+    const lines = series.map(s => `
+        <g class="trend-series${s.overall ? ' overall' : ''}">
+            ${s.points.length > 1 ? `<polyline points="${s.points.map(p => `${xOf(p.record)},${yOf(p.score)}`).join(' ')}" style="stroke: ${s.color}" />` : ''}
+            ${s.points.map(p => `
+                <circle cx="${xOf(p.record)}" cy="${yOf(p.score)}" r="${s.overall ? 4 : 3}" style="fill: ${s.color}">
+                    <title>${escapeHtml(s.name)}: ${Math.round(p.score)} (${escapeHtml(formatHistoryDate(p.record.timestamp))})</title>
+                </circle>
+            `).join('')}
+        </g>
+    `).join('');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Score trends over time">
+            ${grid}
+            ${axis}
+            ${lines}
+        </svg>`;
+}
+
+function toggleTrendSeries(name, visible) {
+    if (visible) hiddenTrendSeries.delete(name);
+    else hiddenTrendSeries.add(name);
+    renderTrendChart(historyRecords);
+}
+
+async function openAnalysis(id) {
+    try {
+        const record = await historyRequest('readonly', store => store.get(id));
+        if (!record) return;
+
+        analysisResult = record.result;
+        definitionEdits = {};
+        document.getElementById('glossary-builder-card').classList.add('hidden');
+        showSection('results-section');
+        updateStep(3);
+        renderResults(record.result);
+    } catch (error) {
+        console.error('History open error:', error);
+        alert('Could not open this analysis.');
+    }
+}
+
+async function deleteAnalysis(id) {
+    try {
+        await historyRequest('readwrite', store => store.delete(id));
+    } catch (error) {
+        console.error('History delete error:', error);
+    }
+    await showHistory();
+}
+
+async function clearHistory() {
+    if (!confirm('Delete every saved analysis from this browser?')) return;
+
+    try {
+        await historyRequest('readwrite', store => store.clear());
+    } catch (error) {
+        console.error('History clear error:', error);
+    }
+    await showHistory();
+}
+
+function formatHistoryDate(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
 // ----- Navigation -----
 
 function showSection(sectionId) {
@@ -625,34 +1773,164 @@ function exportResults() {
             <span class="component-name">${comp.name}</span>
             <span class="component-score" style="color: ${comp.score >= 70 ? '#10b981' : comp.score >= 50 ? '#f59e0b' : '#ef4444'}">${Math.round(comp.score)}/100</span>
         </div>
+        ${comp.explanation ? `<p class="component-explanation">${escapeHtml(comp.explanation)}</p>` : ''}
+        ${(comp.evidence || []).length ? `
+        <ul>
+            ${comp.evidence.slice(0, 3).map(e => `<li>${escapeHtml(e.reason)} (${e.effect} points, ${escapeHtml(e.document)})</li>`).join('')}
+        </ul>` : ''}
     `).join('')}
 
+    ${(result.document_scores || []).length < 2 ? '' : `
+    <h2>Scores by Document</h2>
+    <table class="aspire-table">
+        <tr><th>Document</th><th>Type</th><th>Language</th><th>Score</th><th>Band</th><th>High-risk terms</th></tr>
+        ${result.document_scores.map(doc => `
+        <tr>
+            <td>${escapeHtml(doc.name)}</td>
+            <td>${DOCUMENT_TYPES[doc.document_type] || doc.document_type}</td>
+            <td>${LANGUAGES[doc.language] || doc.language}</td>
+            <td>${Math.round(doc.overall_score)}/100</td>
+            <td>${formatBand(doc.score_band)}</td>
+            <td>${doc.high_risk_terms.map(t => escapeHtml(t.term)).join(', ')}</td>
+        </tr>
+        `).join('')}
+    </table>`}
+
     <h2>High-Risk Terms</h2>
     ${(result.high_risk_terms || []).length === 0 ? '<p>No high-risk terms identified. Great job!</p>' :
         (result.high_risk_terms || []).slice(0, 10).map(term => `
         <div class="risk-term ${term.risk_level}">
             <div class="risk-term-name">"${term.term}"</div>
             <div class="risk-term-detail">Found ${term.occurrences} times across ${term.documents.length} source(s). Risk level: ${term.risk_level}</div>
+            ${(term.variants || []).length > 1 ? `<div class="risk-term-detail">Variants: ${term.variants.map(v => `${escapeHtml(v.form)} (${v.occurrences})`).join(', ')}</div>` : ''}
+            ${(term.senses || []).length > 1 ? `<div class="risk-term-detail">Senses: ${term.senses.map(sn => `${escapeHtml(sn.label)} (${sn.documents.map(escapeHtml).join(', ')})`).join('; ')}</div>` : ''}
             <div class="risk-term-recommendation"><strong>Recommendation:</strong> ${term.recommendation}</div>
+            ${getDefinitionText(term).trim() ? `<div class="risk-term-recommendation"><strong>Proposed definition:</strong> ${escapeHtml(getDefinitionText(term))}</div>` : ''}
+        </div>
+    `).join('')}
+
+    ${(result.glossary_conflicts || []).length === 0 ? '' : `
+    <h2>Glossary Conflicts</h2>
+    ${result.glossary_conflicts.map(c => `
+        <div class="risk-term high">
+            <div class="risk-term-name">"${escapeHtml(c.term)}" in ${escapeHtml(c.document)}</div>
+            <div class="risk-term-detail">${escapeHtml(c.reason)}</div>
+            <div class="risk-term-recommendation"><strong>Glossary:</strong> ${escapeHtml(c.glossary_definition || '')}</div>
         </div>
+    `).join('')}`}
+
+    ${(result.translation_checks || []).filter(c => c.status !== 'consistent').length === 0 ? '' : `
+    <h2>Translations</h2>
+    <table class="aspire-table">
+        <tr><th>Term</th><th>Status</th><th>Definitions</th></tr>
+        ${result.translation_checks.filter(c => c.status !== 'consistent').map(c => `
+        <tr>
+            <td>${escapeHtml(c.term)}</td>
+            <td>${TRANSLATION_STATUS_LABELS[c.status]}</td>
+            <td>${c.languages.map(l => `${escapeHtml(l.form)} (${LANGUAGES[l.language] || l.language}): ${l.definition ? `"${escapeHtml(l.definition)}"` : 'no definition'}`).join('<br>')}</td>
+        </tr>`).join('')}
+    </table>`}
+
+    ${(result.synonym_groups || []).length === 0 ? '' : `
+    <h2>Competing Words</h2>
+    ${result.synonym_groups.map(g => `
+        <div class="risk-term medium">
+            <div class="risk-term-name">${g.words.map(w => `"${escapeHtml(w.word)}"`).join(', ')}</div>
+            <div class="risk-term-detail">${g.words.map(w => `${escapeHtml(w.word)} (${w.count}) in ${w.documents.map(escapeHtml).join(', ')}`).join('; ')}</div>
+            <div class="risk-term-recommendation"><strong>Recommendation:</strong> Use "${escapeHtml(g.dominant)}" for this concept everywhere.</div>
+        </div>
+    `).join('')}`}
+
+    ${(result.acronym_registry || []).length === 0 ? '' : `
+    <h2>Acronyms</h2>
+    <table class="aspire-table">
+        <tr><th>Acronym</th><th>Status</th><th>Expansions</th><th>Used in</th></tr>
+        ${result.acronym_registry.map(a => `
+        <tr>
+            <td>${escapeHtml(a.acronym)}</td>
+            <td>${ACRONYM_STATUS_LABELS[a.status]}</td>
+            <td>${a.expansions.map(e => `${escapeHtml(e.expansion)} (${e.documents.map(escapeHtml).join(', ')})`).join('<br>') || '&mdash;'}</td>
+            <td>${a.documents.map(escapeHtml).join(', ')}</td>
+        </tr>`).join('')}
+    </table>`}
+
+    ${(result.responsibility_matrix || []).length === 0 ? '' : `
+    <h2>Responsibility Matrix</h2>
+    <table class="aspire-table">
+        <tr><th>Activity</th><th>Status</th><th>Owner</th><th>Stated in</th></tr>
+        ${result.responsibility_matrix.map(row => `
+        <tr>
+            <td>${escapeHtml(row.activity)}</td>
+            <td>${OWNERSHIP_STATUS_LABELS[row.status]}</td>
+            <td>${formatOwners(row.owners)}</td>
+            <td>${row.documents.map(escapeHtml).join(', ')}</td>
+        </tr>`).join('')}
+    </table>`}
+
+    ${(result.unbounded_promises || []).length === 0 ? '' : `
+    <h2>Unbounded Promises</h2>
+    <ul>
+    ${result.unbounded_promises.map(p => `
+        <li>"${escapeHtml(p.text)}" (${escapeHtml(p.document)})</li>
     `).join('')}
+    </ul>`}
+
+    ${(result.commitment_conflicts || []).length === 0 ? '' : `
+    <h2>Conflicting Commitments</h2>
+    <table class="aspire-table">
+        <tr><th>Subject</th><th>Commitments</th></tr>
+        ${result.commitment_conflicts.map(c => `
+        <tr>
+            <td>${escapeHtml(c.subject)}</td>
+            <td>${c.commitments.map(e => `"${escapeHtml(e.text)}" (${escapeHtml(e.document)})`).join('<br>')}</td>
+        </tr>`).join('')}
+    </table>`}
+
+    ${(result.suppressed_matches || []).length === 0 ? '' : `
+    <h2>Suppressed Matches</h2>
+    <p>${result.suppressed_matches.length} match(es) were left out of the score:</p>
+    <ul>
+    ${result.suppressed_matches.map(m => `
+        <li>"${escapeHtml(m.term)}" in ${escapeHtml(m.document)}: ${escapeHtml(m.reason)}</li>
+    `).join('')}
+    </ul>`}
 
     <h2>ASPIRE Analysis</h2>
     <table class="aspire-table">
-        <tr><th>Stage</th><th>Score</th></tr>
-        <tr><td>Alignment</td><td>${Math.round(result.aspire_scores?.alignment || 0)}/100</td></tr>
-        <tr><td>Strategy</td><td>${Math.round(result.aspire_scores?.strategy || 0)}/100</td></tr>
-        <tr><td>Prospecting</td><td>${Math.round(result.aspire_scores?.prospecting || 0)}/100</td></tr>
-        <tr><td>Integration</td><td>${Math.round(result.aspire_scores?.integration || 0)}/100</td></tr>
-        <tr><td>Relationship</td><td>${Math.round(result.aspire_scores?.relationship || 0)}/100</td></tr>
-        <tr><td>Engagement</td><td>${Math.round(result.aspire_scores?.engagement || 0)}/100</td></tr>
+        <tr><th>Stage</th><th>Score</th><th>What drives it</th></tr>
+        ${(result.aspire_dimensions || []).map(d => `
+        <tr>
+            <td>${escapeHtml(d.label)}</td>
+            <td>${Math.round(d.score)}/100</td>
+            <td>${escapeHtml(d.explanation)}</td>
+        </tr>`).join('')}
     </table>
 
     <h2>Estimated Meaning Debt</h2>
     <div class="debt-box">
-        <div class="debt-range">${formatCurrency(result.meaning_debt?.low_estimate || 0)} - ${formatCurrency(result.meaning_debt?.high_estimate || 0)}</div>
+        <div class="debt-range">${formatCurrency(result.meaning_debt?.low_estimate || 0, result.meaning_debt?.currency)} - ${formatCurrency(result.meaning_debt?.high_estimate || 0, result.meaning_debt?.currency)}</div>
         <div class="debt-label">Estimated Annual Cost</div>
     </div>
+    ${(result.meaning_debt?.sensitivity || []).length ? `
+    <table class="aspire-table">
+        <tr><th>Assumption</th><th>Range tested</th><th>Estimate</th></tr>
+        ${result.meaning_debt.sensitivity.map(s => `
+        <tr>
+            <td>${formatCategory(s.assumption)} (${s.source === 'user' ? 'supplied' : 'preset'})</td>
+            <td>${s.low_value} to ${s.high_value}</td>
+            <td>${formatCurrency(s.low_estimate, result.meaning_debt.currency)} - ${formatCurrency(s.high_estimate, result.meaning_debt.currency)}</td>
+        </tr>`).join('')}
+    </table>` : ''}
+    ${(result.meaning_debt?.term_attribution || []).length ? `
+    <table class="aspire-table">
+        <tr><th>Term</th><th>Share of debt</th><th>Estimate</th></tr>
+        ${result.meaning_debt.term_attribution.slice(0, 10).map(t => `
+        <tr>
+            <td>${escapeHtml(t.term)}</td>
+            <td>${Math.round(t.share * 100)}%</td>
+            <td>${formatCurrency(t.estimate, result.meaning_debt.currency)}</td>
+        </tr>`).join('')}
+    </table>` : ''}
 
     <h2>Action Plan</h2>
     ${renderActionPlanHTML(result.action_plan)}
@@ -663,19 +1941,120 @@ function exportResults() {
 </body>
 </html>`;
 
-    const blob = new Blob([html], { type: 'text/html' });
+    downloadFile(html, `semantic-score-report-${new Date().toISOString().split('T')[0]}.html`, 'text/html');
+}
+
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `semantic-score-report-${new Date().toISOString().split('T')[0]}.html`;
+    link.download = fileName;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
 }
 
-function formatCurrency(num) {
-    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(num);
+// ----- Glossary Builder -----
+
+function buildGlossary() {
+    if (!analysisResult) return;
+
+    const card = document.getElementById('glossary-builder-card');
+    const list = document.getElementById('glossary-builder-list');
+    const entries = analysisResult.glossary_draft || [];
+
+    card.classList.remove('hidden');
+    list.innerHTML = entries.length === 0 ? '<p class="no-data">No terms were extracted.</p>' : entries.map(entry => `
+        <div class="glossary-entry ${entry.status}">
+            <div class="glossary-entry-header">
+                <span class="risk-term-name">${escapeHtml(entry.term)}</span>
+                <span class="glossary-entry-meta">${formatCategory(entry.category)} &middot; ${formatGlossaryStatus(entry)}</span>
+            </div>
+            <textarea class="draft-definition-text" rows="2"
+                placeholder="No definition yet. Add one with a threshold and what is included or excluded."
+                oninput="updateDefinitionDraft(this.dataset.term, this.value)"
+                data-term="${escapeHtml(entry.term)}">${escapeHtml(getGlossaryDefinition(entry))}</textarea>
+        </div>
+    `).join('');
+
+    card.scrollIntoView({ behavior: 'smooth' });
+}
+
+function formatGlossaryStatus(entry) {
+    if (entry.status === 'defined') {
+        return `${entry.definition_quality} definition from ${escapeHtml(entry.definition_document || entry.definition_source)}`;
+    }
+    return entry.status === 'drafted' ? 'AI draft' : 'missing';
+}
+
+function formatCategory(category) {
+    return (category || 'general').replace(/_/g, ' ');
+}
+
+function getGlossaryDefinition(entry) {
+    return entry.term in definitionEdits ? definitionEdits[entry.term] : entry.definition;
+}
+
+function downloadGlossary(format) {
+    if (!analysisResult) return;
+
+    const entries = (analysisResult.glossary_draft || []).map(entry => ({
+        term: entry.term,
+        definition: getGlossaryDefinition(entry).trim(),
+        category: entry.category,
+        definition_quality: entry.definition_quality,
+        status: entry.term in definitionEdits ? 'edited' : entry.status,
+        source: entry.definition_document || ''
+    }));
+
+    const date = new Date().toISOString().split('T')[0];
+    const types = { md: 'text/markdown', csv: 'text/csv', json: 'application/json' };
+    downloadFile(formatGlossary(entries, format), `glossary-${date}.${format}`, types[format]);
+}
+
+// Shapes match what the glossary parser accepts on upload (term + definition columns)
+function formatGlossary(entries, format) {
+    const columns = ['term', 'definition', 'category', 'definition_quality', 'status', 'source'];
+
+    if (format === 'json') {
+        return JSON.stringify({ terms: entries }, null, 2) + '\n';
+    }
+
+    if (format === 'csv') {
+        const cell = value => {
+            const text = String(value ?? '');
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...entries.map(e => columns.map(c => e[c]))]
+            .map(row => row.map(cell).join(','))
+            .join('\n') + '\n';
+    }
+
+    // Markdown table; pipes and line breaks would split cells
+    const cell = value => String(value ?? '').replace(/\|/g, '/').replace(/\s*\n\s*/g, ' ');
+    const header = ['Term', 'Definition', 'Category', 'Quality', 'Status', 'Source'];
+    return [
+        '# Glossary',
+        '',
+        `| ${header.join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+        ...entries.map(e => `| ${columns.map(c => cell(e[c])).join(' | ')} |`)
+    ].join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatCurrency(num, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(num);
 }
 
 function renderActionPlanHTML(actions) {
@@ -710,10 +2089,17 @@ function renderActionPlanHTML(actions) {
 function startOver() {
     collectedInputs = [];
     analysisResult = null;
+    customLibrary = null;
+    definitionEdits = {};
 
+    document.getElementById('glossary-builder-card').classList.add('hidden');
     document.getElementById('website-url').value = '';
+    document.getElementById('library-file').value = '';
+    document.getElementById('ignore-list').value = '';
+    document.getElementById('acronym-allowlist').value = '';
     document.getElementById('text-input').value = '';
     document.getElementById('doc-list').innerHTML = '';
+    document.getElementById('glossary-list').innerHTML = '';
     document.getElementById('sources-list').innerHTML = '';
 
     updateSummary();
@@ -0,0 +1,150 @@
+/**
+ * Semantic Score - Golden Result Regression
+ * Runs every case in golden/ through the shared scoring engine and compares
+ * the output with the checked-in expected.json.
+ *
+ * Usage:
+ *   node scripts/golden.js            Compare against expected results
+ *   node scripts/golden.js --update   Rewrite expected results
+ */
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { analyzeContent } from '../src/semanticAnalyzer.js';
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'golden');
+const MAX_REPORTED_DIFFS = 20;
+
+// Fields that change on every run and are not part of the scoring result
+const VOLATILE_FIELDS = ['analysis_timestamp'];
+
+async function main() {
+  const update = process.argv.includes('--update');
+  const only = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+  const entries = await readdir(GOLDEN_DIR, { withFileTypes: true });
+  const cases = entries
+    .filter(e => e.isDirectory() && (!only.length || only.includes(e.name)))
+    .map(e => e.name)
+    .sort();
+
+  let failures = 0;
+
+  for (const name of cases) {
+    const caseDir = path.join(GOLDEN_DIR, name);
+    const actual = await runCase(caseDir);
+    const expectedPath = path.join(caseDir, 'expected.json');
+
+    if (update) {
+      await writeFile(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+      console.log(`updated  ${name}`);
+      continue;
+    }
+
+    if (!existsSync(expectedPath)) {
+      console.log(`MISSING  ${name} (run with --update to create expected.json)`);
+      failures++;
+      continue;
+    }
+
+    const expected = JSON.parse(await readFile(expectedPath, 'utf8'));
+    const diffs = diffValues(expected, actual, '');
+
+    if (diffs.length) {
+      failures++;
+      console.log(`FAIL     ${name}`);
+      for (const diff of diffs.slice(0, MAX_REPORTED_DIFFS)) {
+        console.log(`  ${diff}`);
+      }
+      if (diffs.length > MAX_REPORTED_DIFFS) {
+        console.log(`  ... and ${diffs.length - MAX_REPORTED_DIFFS} more`);
+      }
+    } else {
+      console.log(`ok       ${name}`);
+    }
+  }
+
+  if (failures) {
+    console.log(`\n${failures} of ${cases.length} golden case(s) differ. ` +
+      'Review the changes and run with --update if they are intended.');
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Load a case definition and run it through the analyzer
+ */
+async function runCase(caseDir) {
+  const definition = JSON.parse(await readFile(path.join(caseDir, 'case.json'), 'utf8'));
+
+  const inputs = [];
+  for (const spec of definition.inputs) {
+    const content = await readFile(path.join(caseDir, 'inputs', spec.file), 'utf8');
+    const { file, ...fields } = spec;
+
+    inputs.push({
+      id: path.parse(file).name,
+      name: file,
+      ...fields,
+      content,
+      wordCount: content.split(/\s+/).filter(w => w.length > 0).length
+    });
+  }
+
+  const options = { ...definition.options };
+  if (definition.termLibraryFile) {
+    options.termLibrary = await readFile(path.join(caseDir, definition.termLibraryFile), 'utf8');
+  }
+
+  // AI checks are never part of a golden run so results stay deterministic
+  const result = await analyzeContent(inputs, {
+    ...options,
+    useAI: false,
+    anthropicClient: null
+  });
+
+  for (const field of VOLATILE_FIELDS) {
+    delete result[field];
+  }
+
+  return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * List the JSON paths where two values differ
+ */
+function diffValues(expected, actual, at) {
+  if (typeof expected !== typeof actual || Array.isArray(expected) !== Array.isArray(actual) ||
+      expected === null || actual === null || typeof expected !== 'object') {
+    return expected === actual ? [] : [`${at || '(root)'}: expected ${preview(expected)}, got ${preview(actual)}`];
+  }
+
+  const diffs = [];
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+
+  for (const key of keys) {
+    const childPath = Array.isArray(expected) ? `${at}[${key}]` : at ? `${at}.${key}` : key;
+    if (!(key in actual)) {
+      diffs.push(`${childPath}: missing (expected ${preview(expected[key])})`);
+    } else if (!(key in expected)) {
+      diffs.push(`${childPath}: unexpected ${preview(actual[key])}`);
+    } else {
+      diffs.push(...diffValues(expected[key], actual[key], childPath));
+    }
+  }
+
+  return diffs;
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 80 ? text.slice(0, 77) + '...' : text;
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,164 @@
+/**
+ * Semantic Score - Acronym Registry
+ * Records every acronym across the corpus, where it is spelled out and how,
+ * so one document's expansion can explain another's usage and conflicting
+ * expansions ("CSM" as two different things) surface
+ */
+
+// Acronyms most readers know without an expansion
+export const COMMON_ACRONYMS = [
+  'AM', 'PM', 'ASAP', 'CEO', 'CFO', 'COO', 'CTO', 'EU', 'FAQ', 'FYI', 'HR', 'ID', 'IT',
+  'LLC', 'OK', 'PDF', 'ROI', 'UK', 'URL', 'US', 'USA', 'USD', 'EUR', 'GBP', 'VP'
+];
+
+// Words left out of an expansion's initials ("Statement of Work" -> SOW or SW)
+const MINOR_WORDS = new Set(['of', 'and', 'the', 'for', 'to', 'a', 'an', 'in', 'on', 'at', '&']);
+
+// How many words before "(ABC)" can belong to the expansion beyond one per letter
+const EXTRA_WORDS = 3;
+
+// Three or more all-caps words in a row are emphasis or a heading, not acronyms
+const SHOUTED_RUN = /\b[A-Z]{2,}(?:[ \t]+[A-Z]{2,}\b){2,}/g;
+
+// Order used to list the registry, most in need of attention first
+const STATUS_ORDER = ['conflicting', 'unexplained', 'explained', 'allowlisted'];
+
+/**
+ * Build the registry for an analysis
+ * Returns Map acronym -> { acronym, allowlisted, expansions: [{ expansion, documents }],
+ * occurrences: [{ docId, docName, start, end }] }.
+ */
+export function buildAcronymRegistry(inputs, allowlist = []) {
+  const allowed = new Set([...COMMON_ACRONYMS, ...allowlist.map(a => String(a).trim().toUpperCase())]);
+  const registry = new Map();
+
+  const getEntry = acronym => {
+    if (!registry.has(acronym)) {
+      registry.set(acronym, { acronym, allowlisted: allowed.has(acronym), expansions: [], occurrences: [] });
+    }
+    return registry.get(acronym);
+  };
+
+  for (const input of inputs) {
+    const shouted = findShoutedRanges(input.content);
+
+    for (const match of input.content.matchAll(/\b[A-Z]{2,}\b/g)) {
+      if (shouted.some(r => match.index >= r.start && match.index < r.end)) continue;
+
+      getEntry(match[0]).occurrences.push({
+        docId: input.id,
+        docName: input.name,
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+
+    for (const { acronym, expansion } of findExpansions(input.content)) {
+      const entry = getEntry(acronym);
+      const known = entry.expansions.find(e => normalizeExpansion(e.expansion) === normalizeExpansion(expansion));
+
+      if (!known) {
+        entry.expansions.push({ expansion, documents: [input.name] });
+      } else if (!known.documents.includes(input.name)) {
+        known.documents.push(input.name);
+      }
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * How an acronym stands in the corpus
+ */
+export function getAcronymStatus(entry) {
+  if (entry.expansions.length > 1) return 'conflicting';
+  if (entry.allowlisted) return 'allowlisted';
+  return entry.expansions.length ? 'explained' : 'unexplained';
+}
+
+/**
+ * Registry entries for the report, conflicts and unexplained acronyms first
+ */
+export function summarizeAcronymRegistry(registry) {
+  return [...registry.values()]
+    .filter(entry => entry.occurrences.length)
+    .map(entry => ({
+      acronym: entry.acronym,
+      status: getAcronymStatus(entry),
+      expansions: entry.expansions,
+      occurrences: entry.occurrences.length,
+      documents: [...new Set(entry.occurrences.map(o => o.docName))]
+    }))
+    .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.acronym.localeCompare(b.acronym));
+}
+
+/**
+ * Normalize a user-supplied allowlist (array or newline/comma separated text)
+ */
+export function parseAcronymAllowlist(source) {
+  if (!source) return [];
+  const items = Array.isArray(source) ? source : String(source).split(/[\n,]/);
+  return items.map(item => String(item).trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Expansions written as "Customer Success Manager (CSM)" or "CSM (Customer Success Manager)"
+ */
+function findExpansions(content) {
+  const found = [];
+
+  for (const match of content.matchAll(/\(([A-Z]{2,})s?\)/g)) {
+    const acronym = match[1];
+    const before = content.slice(Math.max(0, match.index - 120), match.index);
+    const words = before.split(/[\n.;:,(]/).pop().trim().split(/\s+/).filter(Boolean);
+
+    // The shortest run of preceding words whose initials spell the acronym
+    for (let count = 1; count <= Math.min(words.length, acronym.length + EXTRA_WORDS); count++) {
+      const candidate = words.slice(-count);
+      if (matchesInitials(candidate, acronym)) {
+        found.push({ acronym, expansion: candidate.join(' ') });
+        break;
+      }
+    }
+  }
+
+  for (const match of content.matchAll(/\b([A-Z]{2,})\s*\(([^()\n]+)\)/g)) {
+    const words = match[2].trim().split(/\s+/);
+    if (matchesInitials(words, match[1])) {
+      found.push({ acronym: match[1], expansion: words.join(' ') });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Stretches of capitals that are not acronyms: runs of all-caps words, and
+ * lines with no lower-case letters and more than one all-caps word
+ */
+function findShoutedRanges(content) {
+  const ranges = [...content.matchAll(SHOUTED_RUN)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+
+  let start = 0;
+  for (const line of content.split('\n')) {
+    if (!/\p{Ll}/u.test(line) && (line.match(/\b[A-Z]{2,}\b/g) || []).length > 1) {
+      ranges.push({ start, end: start + line.length });
+    }
+    start += line.length + 1;
+  }
+
+  return ranges;
+}
+
+function matchesInitials(words, acronym) {
+  const parts = words.flatMap(word => word.split('-')).filter(Boolean);
+  const initials = list => list.map(word => word[0]).join('').toUpperCase();
+  const significant = parts.filter(word => !MINOR_WORDS.has(word.toLowerCase()));
+
+  return initials(significant) === acronym || initials(parts) === acronym;
+}
+
+function normalizeExpansion(expansion) {
+  return expansion.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
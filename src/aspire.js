@@ -0,0 +1,199 @@
+/**
+ * Semantic Score - ASPIRE Dimensions
+ * Scores each stage of the client lifecycle (Alignment, Strategy,
+ * Prospecting, Integration, Relationship, Engagement) from the terms and
+ * signals that belong to it and the definition, consistency, boundary,
+ * threshold and ownership evidence found around them
+ */
+
+import { TermCategory } from './termLibrary.js';
+import { buildFamilyRegex } from './lemmatizer.js';
+import { segmentDocument } from './textSegments.js';
+import { getLanguagePack } from './languages.js';
+import { PAIRING_CREDIT } from './promises.js';
+import { RESOLVED_OWNER_CREDIT } from './ownership.js';
+
+// Kinds of evidence a dimension is scored from, with how each is counted
+export const ASPIRE_FACTORS = {
+  definition: { label: 'definitions', unit: 'term(s)' },
+  consistency: { label: 'consistency', unit: 'term(s)' },
+  boundary: { label: 'promise boundaries', unit: 'promise(s)' },
+  threshold: { label: 'thresholds', unit: 'threshold(s)' },
+  ownership: { label: 'ownership', unit: 'statement(s)' }
+};
+
+// Each dimension: the term categories and terms that belong to it, the
+// signals that mark a sentence as about it, and how much each factor counts
+export const DEFAULT_ASPIRE_DIMENSIONS = {
+  alignment: {
+    label: 'Alignment',
+    categories: [TermCategory.OWNERSHIP_TERM],
+    terms: [],
+    signals: ['responsible', 'accountable', 'owner', 'owns', 'approve', 'approval', 'sign off', 'decision'],
+    factors: { definition: 1, consistency: 1, ownership: 2 }
+  },
+  strategy: {
+    label: 'Strategy',
+    categories: [TermCategory.FINANCIAL_STRATEGIC],
+    terms: [],
+    signals: ['goal', 'objective', 'roadmap', 'priority', 'outcome', 'KPI', 'target'],
+    factors: { definition: 1, consistency: 1, threshold: 2 }
+  },
+  prospecting: {
+    label: 'Prospecting',
+    categories: [TermCategory.PROMISE_WORD],
+    terms: [],
+    signals: ['proposal', 'pricing', 'price', 'quote', 'trial', 'demo', 'offer', 'package', 'plan'],
+    factors: { definition: 1, consistency: 1, boundary: 2, threshold: 1 }
+  },
+  integration: {
+    label: 'Integration',
+    categories: [TermCategory.LIFECYCLE_VERB],
+    terms: [],
+    signals: ['setup', 'configuration', 'training', 'data import', 'handoff', 'kickoff', 'go-live'],
+    factors: { definition: 1, consistency: 1, threshold: 1, ownership: 1 }
+  },
+  relationship: {
+    label: 'Relationship',
+    categories: [],
+    terms: ['support', 'account management', 'customer success', 'partnership', 'dedicated', 'escalation', 'renewal'],
+    signals: ['response time', 'SLA', 'check-in', 'QBR', 'account manager', 'business review'],
+    factors: { definition: 1, consistency: 1, boundary: 1, threshold: 2, ownership: 1 }
+  },
+  engagement: {
+    label: 'Engagement',
+    categories: [TermCategory.STATUS_LABEL],
+    terms: [],
+    signals: ['status', 'update', 'report', 'meeting', 'milestone', 'deadline', 'weekly', 'monthly'],
+    factors: { definition: 1, consistency: 1, threshold: 1, ownership: 1 }
+  }
+};
+
+export const ASPIRE_DIMENSIONS = Object.keys(DEFAULT_ASPIRE_DIMENSIONS);
+
+// Score a dimension gets when nothing in the corpus belongs to it
+const DEFAULT_DIMENSION_SCORE = 70;
+
+/**
+ * Merge organization-specific dimension settings into the defaults
+ * custom: { dimension: { categories, terms, signals, factors } }; lists
+ * replace the default list, factors are merged weight by weight.
+ */
+export function buildAspireDimensions(custom = null) {
+  return ASPIRE_DIMENSIONS.map(key => {
+    const base = DEFAULT_ASPIRE_DIMENSIONS[key];
+    const override = (custom && custom[key]) || {};
+    return {
+      key,
+      label: base.label,
+      categories: override.categories || base.categories,
+      terms: (override.terms || base.terms).map(t => t.toLowerCase()),
+      signals: override.signals || base.signals,
+      factors: { ...base.factors, ...(override.factors || {}) }
+    };
+  });
+}
+
+/**
+ * Score every ASPIRE dimension
+ * corpus: { termAnalyses, inputs, promisePairs, ownershipStatements,
+ * responsibilityMatrix, commitments, commitmentConflicts }.
+ * A term belongs to a dimension by category or by name; a sentence, promise
+ * or ownership statement belongs to it when it mentions one of the
+ * dimension's terms or signals. Each factor scores 0-100 from its evidence,
+ * and the dimension is the weighted mean of the factors that have any.
+ * Returns [{ key, label, score, defaulted, factors, terms, explanation }].
+ */
+export function scoreAspireDimensions(dimensions, corpus) {
+  const sentences = corpus.inputs.flatMap(input =>
+    segmentDocument(input.content).sentences.map(sentence => ({ ...sentence, input }))
+  );
+  const conflictingActivities = new Set(corpus.responsibilityMatrix.filter(row => row.status === 'conflicting').map(row => row.key));
+  const conflictingEntries = corpus.commitmentConflicts.flatMap(conflict => conflict.entries);
+  const thresholdOf = sentence => rateThreshold(sentence, corpus.commitments, conflictingEntries);
+
+  return dimensions.map(dimension => {
+    const terms = corpus.termAnalyses.filter(t =>
+      dimension.categories.includes(t.category) || dimension.terms.includes(t.term) || dimension.terms.includes(t.concept)
+    );
+    const forms = [...new Set([
+      ...dimension.terms,
+      ...dimension.signals,
+      ...terms.flatMap(t => t.spans.map(s => s.text.toLowerCase()))
+    ])];
+    const regex = forms.length ? buildFamilyRegex(forms) : null;
+    const mentions = text => {
+      if (!regex) return false;
+      regex.lastIndex = 0;
+      return regex.test(text);
+    };
+
+    const promises = corpus.promisePairs.promises.filter(p => mentions(p.text));
+    const statements = corpus.ownershipStatements.filter(s => mentions(s.text));
+    const relevant = sentences.filter(s => mentions(s.text));
+
+    const evidence = {
+      definition: terms.map(t => (t.isDefined ? 1 : 0)),
+      consistency: terms.map(t => (t.inconsistencyDetected ? 0 : 1)),
+      boundary: promises.map(p => (p.pairedAt ? PAIRING_CREDIT[p.pairedAt] : 0)),
+      threshold: relevant.map(thresholdOf).filter(credit => credit !== null),
+      ownership: statements.map(s => {
+        if (conflictingActivities.has(s.activity) && s.owner) return 0;
+        if (s.resolution === 'named') return 1;
+        return s.resolution === 'resolved' ? RESOLVED_OWNER_CREDIT : 0;
+      })
+    };
+
+    const factors = Object.entries(dimension.factors)
+      .filter(([factor, weight]) => weight > 0 && evidence[factor].length)
+      .map(([factor, weight]) => ({
+        factor,
+        weight,
+        score: Math.round((evidence[factor].reduce((sum, c) => sum + c, 0) / evidence[factor].length) * 100),
+        evidence: evidence[factor].length
+      }));
+
+    const totalWeight = factors.reduce((sum, f) => sum + f.weight, 0);
+    const score = totalWeight
+      ? Math.round(factors.reduce((sum, f) => sum + f.score * f.weight, 0) / totalWeight)
+      : DEFAULT_DIMENSION_SCORE;
+
+    return {
+      key: dimension.key,
+      label: dimension.label,
+      score,
+      defaulted: !factors.length,
+      factors,
+      terms: terms.map(t => t.term),
+      explanation: explainDimension(dimension, factors, score)
+    };
+  });
+}
+
+/**
+ * Threshold credit for a sentence: 1 for a numeric commitment, 0 for a vague
+ * phrase or a contradicted commitment, null when it states no threshold at all
+ */
+function rateThreshold(sentence, commitments, conflictingEntries) {
+  const { input } = sentence;
+  const within = e => e.docId === input.id && e.start >= sentence.start && e.end <= sentence.end;
+  const text = sentence.text.toLowerCase();
+
+  if (getLanguagePack(input.language).vaguePatterns.some(pattern => text.includes(pattern.toLowerCase()))) return 0;
+  if (conflictingEntries.some(within)) return 0;
+  return commitments.some(within) ? 1 : null;
+}
+
+function explainDimension(dimension, factors, score) {
+  if (!factors.length) {
+    return `Nothing in the documents belongs to ${dimension.label}, so it gets the default score of ${score}.`;
+  }
+
+  const parts = factors.map(f => `${ASPIRE_FACTORS[f.factor].label} ${f.score} (${f.evidence} ${ASPIRE_FACTORS[f.factor].unit})`);
+  const text = `${dimension.label} is ${score}, the weighted mean of ${parts.join(', ')}.`;
+
+  // The factor that costs the most: how far below 100 it is, times its weight
+  const drag = [...factors].sort((a, b) => (100 - b.score) * b.weight - (100 - a.score) * a.weight)[0];
+  if (drag.score === 100) return text;
+  return `${text} The biggest drag is ${ASPIRE_FACTORS[drag.factor].label} at ${drag.score}.`;
+}
@@ -0,0 +1,250 @@
+/**
+ * Semantic Score - Commitments Ledger
+ * Parses numeric promises ("respond within 4 hours", "up to 3 revisions",
+ * "99.9% uptime") into subject, quantity, unit and limit type, and finds
+ * the ones that disagree across documents
+ */
+
+import { getConceptKey } from './lemmatizer.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+
+// Phrases that bound a quantity, by the kind of limit they set
+const LIMIT_PHRASES = {
+  maximum: ['within', 'up to', 'no more than', 'at most', 'not to exceed', 'not exceed', 'a maximum of',
+    'maximum of', 'limited to a maximum of', 'limited to', 'less than', 'no later than'],
+  minimum: ['at least', 'a minimum of', 'minimum of', 'no less than', 'no fewer than']
+};
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30
+};
+
+// Time units in minutes; business units count working time only
+const TIME_UNITS = {
+  minute: 1,
+  hour: 60,
+  day: 24 * 60,
+  week: 7 * 24 * 60,
+  month: 30 * 24 * 60,
+  year: 365 * 24 * 60
+};
+const BUSINESS_UNITS = {
+  hour: 60,
+  day: 8 * 60,
+  week: 5 * 8 * 60
+};
+
+// Words skipped when looking back for what a commitment is about
+const SUBJECT_STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'for', 'to', 'with', 'by', 'in', 'on', 'is', 'are', 'be', 'was', 'were', 'will',
+  'shall', 'can', 'must', 'should', 'may', 'might', 'could', 'would', 'we', 'our', 'your', 'their', 'its',
+  'first', 'guaranteed', 'receive', 'receives', 'get', 'gets', 'covers', 'cover', 'includes', 'include',
+  'provide', 'provides', 'expect', 'and', 'or', 'all', 'each', 'every', 'any', 'it', 'this', 'that'
+]);
+
+// Words that say what happens to the subject rather than name it
+// ("invoices are due", "strategy is delivered"); skipped on the way back
+const PREDICATE_WORDS = new Set([
+  'due', 'payable', 'paid', 'provided', 'delivered', 'available', 'required', 'completed', 'complete',
+  'sent', 'made', 'issued', 'returned', 'submitted', 'given', 'processed', 'answered', 'acknowledged',
+  'approved', 'expected', 'done', 'ready', 'scheduled', 'billed', 'invoiced', 'received', 'reported',
+  'resolved', 'handled', 'offered', 'take', 'takes', 'happen', 'happens', 'occur', 'occurs'
+]);
+
+// Words that narrow a commitment to one class of case ("Priority 2 and 3
+// issues", "P1", "Tier 2", "Premium support"); commitments for different
+// classes are separate promises, not contradictions
+const QUALIFIER_PLANS = ['basic', 'standard', 'premium', 'enterprise', 'professional', 'starter',
+  'gold', 'silver', 'bronze', 'platinum'];
+const QUALIFIER = new RegExp(
+  '\\b(?:(?<kind>priority|severity|sev|tier|level|p)\\s*(?<levels>\\d+(?:\\s*(?:,|\\/|-|and|or|to)\\s*\\d+)*)' +
+  `|(?<plan>${QUALIFIER_PLANS.join('|')})(?=\\s+(?:plan|tier|support|package|customers?|clients?|accounts?|subscribers?)\\b))`,
+  'gi'
+);
+const QUALIFIER_KINDS = { p: 'priority', sev: 'severity' };
+
+// Percentages that are service-level floors
+const PERCENT_SUBJECTS = ['uptime', 'availability', 'accuracy', 'satisfaction', 'resolution rate', 'success rate'];
+
+// Commas that group thousands ("1,500"); English is the only language that writes them
+const THOUSANDS_GROUPING = /^\d{1,3}(?:,\d{3})+$/;
+
+const NUMBER = `(?<quantity>\\d{1,3}(?:,\\d{3})+(?![.,]?\\d)|\\d+(?:[.,]\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(?<unit>(?:business|working)[\\s-]+(?:hours?|days?|weeks?)|minutes?|hours?|days?|weeks?|months?|years?|[a-z][a-z-]+)\\b';
+const PERIOD = '(?:\\s+(?:per|a|each|every)\\s+(?<period>hour|day|week|month|quarter|year|business day))?';
+
+// How many words back a subject can be, and how many words it can have
+const SUBJECT_LOOKBACK = 5;
+const MAX_SUBJECT_WORDS = 2;
+
+/**
+ * Parse every numeric commitment in the inputs
+ * Returns [{ subject, subjectKey, quantity, unit, limitType, period, text,
+ * docId, docName, start, end }].
+ */
+export function extractCommitments(inputs) {
+  const phrases = Object.entries(LIMIT_PHRASES)
+    .flatMap(([limitType, list]) => list.map(phrase => ({ limitType, phrase })))
+    .sort((a, b) => b.phrase.length - a.phrase.length);
+  const limitRegex = new RegExp(
+    `\\b(?<limit>${phrases.map(p => p.phrase.replace(/ /g, '\\s+')).join('|')})\\s+${NUMBER}\\s*${UNIT}${PERIOD}`,
+    'gi'
+  );
+  const percentRegex = new RegExp(
+    `(?:\\b(?<before>${PERCENT_SUBJECTS.join('|')})\\s+(?:is|of|at)\\s+(?:at\\s+least\\s+)?(?<value>\\d+(?:\\.\\d+)?)\\s?%` +
+    `|(?<value2>\\d+(?:\\.\\d+)?)\\s?%\\s+(?<after>${PERCENT_SUBJECTS.join('|')}))${PERIOD}`,
+    'gi'
+  );
+
+  const entries = [];
+
+  for (const input of inputs) {
+    const content = input.content;
+
+    for (const match of content.matchAll(limitRegex)) {
+      const { limit, quantity, unit, period } = match.groups;
+      const unitName = normalizeUnit(unit);
+      if (SUBJECT_STOPWORDS.has(unitName)) continue;
+
+      const isTime = !!timeUnit(unitName);
+      const limitType = phrases.find(p => new RegExp(`^${p.phrase.replace(/ /g, '\\s+')}$`, 'i').test(limit)).limitType;
+
+      // Counted things are their own subject ("up to 3 revisions"); time limits
+      // are about whatever comes just before ("respond within 4 hours")
+      const subject = isTime ? findSubject(content, match.index) : unitName;
+      if (!subject) continue;
+
+      entries.push(makeEntry(input, match, {
+        subject,
+        quantity: parseQuantity(quantity, input.language),
+        unit: unitName,
+        limitType,
+        period: period ? period.toLowerCase() : null
+      }));
+    }
+
+    for (const match of content.matchAll(percentRegex)) {
+      const { before, after, value, value2, period } = match.groups;
+      entries.push(makeEntry(input, match, {
+        subject: (before || after).toLowerCase(),
+        quantity: parseFloat(value || value2),
+        unit: '%',
+        limitType: 'minimum',
+        period: period ? period.toLowerCase() : null
+      }));
+    }
+  }
+
+  return entries.sort((a, b) => a.docName.localeCompare(b.docName) || a.start - b.start);
+}
+
+/**
+ * Group ledger entries about the same subject that disagree across documents
+ * Returns [{ subject, key, entries }], one per subject with a conflict.
+ */
+export function findCommitmentConflicts(entries) {
+  const bySubject = new Map();
+  for (const entry of entries) {
+    if (!bySubject.has(entry.subjectKey)) bySubject.set(entry.subjectKey, []);
+    bySubject.get(entry.subjectKey).push(entry);
+  }
+
+  const conflicts = [];
+  for (const [key, group] of bySubject) {
+    const documents = new Set(group.map(e => e.docId));
+    const values = new Set(group.map(getComparableValue));
+    if (documents.size < 2 || values.size < 2) continue;
+
+    // Only entries whose value some other document contradicts
+    const conflicting = group.filter(entry =>
+      group.some(other => other.docId !== entry.docId && getComparableValue(other) !== getComparableValue(entry))
+    );
+    conflicts.push({ subject: group[0].subject, key, entries: conflicting });
+  }
+
+  return conflicts;
+}
+
+/**
+ * A commitment's value in units that can be compared across documents
+ * ("1 business day" and "8 business hours" agree, "4 hours" does not)
+ */
+function getComparableValue(entry) {
+  const time = timeUnit(entry.unit);
+  const amount = time ? entry.quantity * time.minutes : entry.quantity;
+  // Counted units by concept, so "revision" and "revisions" agree
+  const unit = time ? `${time.basis} minutes` : getConceptKey(entry.unit);
+  return `${entry.limitType}:${Math.round(amount * 1000) / 1000} ${unit}${entry.period ? ` per ${entry.period}` : ''}`;
+}
+
+function timeUnit(unit) {
+  const business = /^(?:business|working) /.test(unit);
+  const base = unit.replace(/^(?:business|working) /, '').replace(/s$/, '');
+  const minutes = business ? BUSINESS_UNITS[base] : TIME_UNITS[base];
+  return minutes ? { minutes, basis: business ? 'business' : 'calendar' } : null;
+}
+
+function makeEntry(input, match, fields) {
+  const qualifier = findQualifier(input.content, match.index, match.index + match[0].length);
+  return {
+    ...fields,
+    subject: qualifier ? `${fields.subject} (${qualifier})` : fields.subject,
+    subjectKey: getConceptKey(fields.subject) + (qualifier ? `:${qualifier}` : ''),
+    text: match[0],
+    docId: input.id,
+    docName: input.name,
+    start: match.index,
+    end: match.index + match[0].length
+  };
+}
+
+/**
+ * The noun phrase a time limit is about: the nearest words before it that
+ * are neither stopwords nor predicates ("response time", "invoices")
+ */
+function findSubject(content, offset) {
+  const before = content.slice(Math.max(0, offset - 120), offset).split(/[.!?\n:;()]/).pop();
+  const words = (before.toLowerCase().match(/[a-z][a-z-]*/g) || []).slice(-SUBJECT_LOOKBACK);
+  const isFiller = word => SUBJECT_STOPWORDS.has(word) || PREDICATE_WORDS.has(word);
+
+  let end = words.length;
+  while (end > 0 && isFiller(words[end - 1])) end--;
+  if (!end) return null;
+
+  let start = end - 1;
+  while (start > 0 && end - start < MAX_SUBJECT_WORDS && !isFiller(words[start - 1])) start--;
+  return words.slice(start, end).join(' ');
+}
+
+/**
+ * The class of case a commitment is limited to, from its sentence; the
+ * nearest qualifier before the commitment wins, then the first one after it
+ */
+function findQualifier(content, start, end) {
+  const before = content.slice(Math.max(0, start - 160), start).split(/[.!?](?=\s)|\n/).pop();
+  const after = content.slice(end, end + 160).split(/[.!?](?=\s)|\n/)[0];
+  const found = [...before.matchAll(QUALIFIER)].pop() || [...after.matchAll(QUALIFIER)][0];
+  if (!found) return null;
+
+  const { kind, levels, plan } = found.groups;
+  if (plan) return plan.toLowerCase();
+  const name = kind.toLowerCase();
+  return `${QUALIFIER_KINDS[name] || name} ${levels.match(/\d+/g).join('/')}`;
+}
+
+function normalizeUnit(unit) {
+  return unit.toLowerCase().replace(/[\s-]+/g, ' ');
+}
+
+/**
+ * A matched quantity as a number; outside English a comma is the decimal
+ * mark ("1,5 Stunden" is one and a half hours)
+ */
+function parseQuantity(quantity, language = DEFAULT_LANGUAGE) {
+  const word = quantity.toLowerCase();
+  if (word in NUMBER_WORDS) return NUMBER_WORDS[word];
+
+  const grouped = language === DEFAULT_LANGUAGE && THOUSANDS_GROUPING.test(quantity);
+  return parseFloat(grouped ? quantity.replace(/,/g, '') : quantity.replace(',', '.'));
+}
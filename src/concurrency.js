@@ -0,0 +1,27 @@
+/**
+ * Semantic Score - Concurrency
+ * Runs AI requests side by side with a cap on how many are in flight, so an
+ * analysis of many documents or terms fits the function timeout
+ */
+
+// AI requests in flight at once
+export const AI_CONCURRENCY = 6;
+
+/**
+ * Map items through an async function with at most `limit` calls in flight,
+ * keeping the results in item order
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
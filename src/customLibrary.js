@@ -0,0 +1,137 @@
+/**
+ * Semantic Score - Custom Term Libraries
+ * Parses organization-specific libraries (JSON or YAML) that extend,
+ * override or trim the default TERM_LIBRARY
+ */
+
+import YAML from 'yaml';
+
+import { TermCategory } from './termLibrary.js';
+import { SUPPORTED_LANGUAGES } from './languages.js';
+import { ASPIRE_DIMENSIONS, ASPIRE_FACTORS } from './aspire.js';
+
+const KNOWN_KEYS = ['terms', 'remove', 'riskMultipliers', 'synonyms', 'translations', 'aspire'];
+
+// Settings each ASPIRE dimension accepts
+const ASPIRE_KEYS = ['categories', 'terms', 'signals', 'factors'];
+
+/**
+ * Parse and validate a custom library
+ * Accepts raw JSON/YAML text or an already-parsed object. Returns null when
+ * no library is given and throws with a readable message when it is invalid.
+ */
+export function parseCustomLibrary(source) {
+  if (source === null || source === undefined || source === '') {
+    return null;
+  }
+
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      // YAML is a superset of JSON, so one parser covers both formats
+      data = YAML.parse(source);
+    } catch (e) {
+      throw new Error(`Could not parse term library: ${e.message}`);
+    }
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Term library must be an object with terms, remove, riskMultipliers, synonyms, translations or aspire');
+  }
+
+  const unknownKeys = Object.keys(data).filter(key => !KNOWN_KEYS.includes(key));
+  if (unknownKeys.length) {
+    throw new Error(`Unknown term library key(s): ${unknownKeys.join(', ')}`);
+  }
+
+  const riskMultipliers = {};
+  for (const [category, multiplier] of Object.entries(data.riskMultipliers || {})) {
+    if (typeof multiplier !== 'number' || !(multiplier > 0)) {
+      throw new Error(`Risk multiplier for '${category}' must be a positive number`);
+    }
+    riskMultipliers[category] = multiplier;
+  }
+
+  const knownCategories = new Set([...Object.values(TermCategory), ...Object.keys(riskMultipliers)]);
+
+  const terms = {};
+  for (const [term, category] of Object.entries(data.terms || {})) {
+    if (!knownCategories.has(category)) {
+      throw new Error(`Unknown category '${category}' for term '${term}' (add it to riskMultipliers to create it)`);
+    }
+    terms[term] = category;
+  }
+
+  const remove = data.remove || [];
+  if (!Array.isArray(remove)) {
+    throw new Error('Term library "remove" must be a list of terms');
+  }
+
+  const synonyms = {};
+  for (const [concept, words] of Object.entries(data.synonyms || {})) {
+    if (!Array.isArray(words) || words.length === 1) {
+      throw new Error(`Synonyms for '${concept}' must be a list of two or more words (or an empty list to remove the set)`);
+    }
+    synonyms[concept] = words.map(String);
+  }
+
+  const translations = {};
+  for (const [term, byLanguage] of Object.entries(data.translations || {})) {
+    if (!byLanguage || typeof byLanguage !== 'object' || Array.isArray(byLanguage)) {
+      throw new Error(`Translations for '${term}' must map language codes to words`);
+    }
+    for (const language of Object.keys(byLanguage)) {
+      if (!SUPPORTED_LANGUAGES.includes(language)) {
+        throw new Error(`Unknown language '${language}' in translations for '${term}' (expected one of ${SUPPORTED_LANGUAGES.join(', ')})`);
+      }
+    }
+    translations[term] = Object.fromEntries(Object.entries(byLanguage).map(([language, word]) => [language, String(word)]));
+  }
+
+  const aspire = {};
+  for (const [dimension, settings] of Object.entries(data.aspire || {})) {
+    if (!ASPIRE_DIMENSIONS.includes(dimension)) {
+      throw new Error(`Unknown ASPIRE dimension '${dimension}' (expected one of ${ASPIRE_DIMENSIONS.join(', ')})`);
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`ASPIRE settings for '${dimension}' must be an object with ${ASPIRE_KEYS.join(', ')}`);
+    }
+
+    const unknown = Object.keys(settings).filter(key => !ASPIRE_KEYS.includes(key));
+    if (unknown.length) {
+      throw new Error(`Unknown ASPIRE setting(s) for '${dimension}': ${unknown.join(', ')}`);
+    }
+
+    const parsed = {};
+    for (const key of ['categories', 'terms', 'signals']) {
+      if (settings[key] === undefined) continue;
+      if (!Array.isArray(settings[key])) {
+        throw new Error(`ASPIRE ${key} for '${dimension}' must be a list`);
+      }
+      parsed[key] = settings[key].map(String);
+    }
+
+    for (const category of parsed.categories || []) {
+      if (!knownCategories.has(category)) {
+        throw new Error(`Unknown category '${category}' in ASPIRE settings for '${dimension}'`);
+      }
+    }
+
+    if (settings.factors !== undefined) {
+      parsed.factors = {};
+      for (const [factor, weight] of Object.entries(settings.factors || {})) {
+        if (!(factor in ASPIRE_FACTORS)) {
+          throw new Error(`Unknown ASPIRE factor '${factor}' for '${dimension}' (expected one of ${Object.keys(ASPIRE_FACTORS).join(', ')})`);
+        }
+        if (typeof weight !== 'number' || weight < 0) {
+          throw new Error(`ASPIRE factor weight '${factor}' for '${dimension}' must be a number of 0 or more`);
+        }
+        parsed.factors[factor] = weight;
+      }
+    }
+
+    aspire[dimension] = parsed;
+  }
+
+  return { terms, remove: remove.map(String), riskMultipliers, synonyms, translations, aspire };
+}
@@ -0,0 +1,134 @@
+/**
+ * Semantic Score - Definition Dependencies
+ * Finds the high-stakes terms each definition relies on and flags definitions
+ * that are circular or lean on terms nobody has defined
+ */
+
+import { buildFamilyRegex } from './lemmatizer.js';
+
+/**
+ * Build the dependency graph between defined terms
+ * Nodes are concepts (analyzed terms plus any library term a definition
+ * mentions); an edge A -> B means A's definition uses B.
+ * Returns { nodes, edges, cycles }.
+ */
+export function buildDefinitionGraph(termAnalyses, families, glossary) {
+  const analyzed = new Map(termAnalyses.map(t => [t.concept, t]));
+  const regexes = [...families].map(([concept, family]) => [concept, buildFamilyRegex(family.forms)]);
+  const nodes = new Map();
+  const edges = [];
+
+  const addNode = concept => {
+    if (!nodes.has(concept)) {
+      const term = analyzed.get(concept);
+      const entry = glossary.get(concept);
+      nodes.set(concept, {
+        id: concept,
+        term: term ? term.term : entry ? entry.term : families.get(concept).forms[0],
+        defined: term ? term.isDefined : !!entry,
+        in_corpus: !!term,
+        circular: false,
+        undefined_dependencies: []
+      });
+    }
+    return nodes.get(concept);
+  };
+
+  for (const term of termAnalyses) {
+    if (!term.isDefined || !term.definitionText) continue;
+    addNode(term.concept);
+
+    for (const [concept, regex] of regexes) {
+      if (term.definitionText.match(regex)) {
+        addNode(concept);
+        edges.push({ from: term.concept, to: concept });
+      }
+    }
+  }
+
+  const cycles = findCycles([...nodes.keys()], edges);
+  for (const cycle of cycles) {
+    for (const concept of cycle) {
+      nodes.get(concept).circular = true;
+    }
+  }
+
+  for (const edge of edges) {
+    const target = nodes.get(edge.to);
+    if (edge.from !== edge.to && !target.defined) {
+      nodes.get(edge.from).undefined_dependencies.push(target.term);
+    }
+  }
+
+  return {
+    nodes: [...nodes.values()],
+    edges,
+    cycles: cycles.map(cycle => cycle.map(concept => nodes.get(concept).term))
+  };
+}
+
+/**
+ * Describe why a definition is hollow, or null when its dependencies hold up
+ */
+export function getDependencyIssue(graph, concept) {
+  const node = graph.nodes.find(n => n.id === concept);
+  if (!node) return null;
+  if (node.circular) return 'circular';
+  if (node.undefined_dependencies.length) return 'undefined_dependency';
+  return null;
+}
+
+/**
+ * Strongly connected components with more than one node, plus self-references
+ * (Tarjan's algorithm)
+ */
+function findCycles(ids, edges) {
+  const adjacency = new Map(ids.map(id => [id, []]));
+  for (const edge of edges) {
+    adjacency.get(edge.from).push(edge.to);
+  }
+
+  const index = new Map();
+  const lowLink = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  const visit = id => {
+    index.set(id, counter);
+    lowLink.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+
+    for (const next of adjacency.get(id)) {
+      if (!index.has(next)) {
+        visit(next);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(next)));
+      }
+    }
+
+    if (lowLink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1 || adjacency.get(id).includes(id)) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  for (const id of ids) {
+    if (!index.has(id)) visit(id);
+  }
+
+  return cycles;
+}
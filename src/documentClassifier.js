@@ -0,0 +1,199 @@
+/**
+ * Semantic Score - Document Classification
+ * Infers each input's document type (contract, proposal, onboarding, ...)
+ * from its name, structure and vocabulary, with an optional AI assist
+ */
+
+import { DOCUMENT_RISK_WEIGHTS } from './termLibrary.js';
+import { AI_CONCURRENCY, mapConcurrent } from './concurrency.js';
+
+// Cues per document type
+// name: matched against the input name
+// terms: phrases that count once each when present
+// patterns: structural regexes, counted per match up to MAX_PATTERN_HITS
+const CLASSIFIER_CUES = {
+  contract: {
+    name: /\b(?:agreement|contract|msa|sow|terms|nda|addendum)\b/i,
+    terms: ['agreement', 'hereinafter', 'whereas', 'the parties', 'indemnif', 'governing law',
+      'termination', 'liability', 'in witness whereof', 'effective date', 'shall not', 'confidential information'],
+    patterns: [/\bshall\b/gi, /^\s*\d+\.\d+\s+\S/gm, /\b(?:client|provider|customer|vendor)\s+shall\b/gi]
+  },
+  proposal: {
+    name: /\b(?:proposal|quote|estimate|pitch|rfp)\b/i,
+    terms: ['proposal', 'scope of work', 'pricing', 'investment', 'deliverables', 'timeline',
+      'we propose', 'recommended approach', 'next steps', 'valid for', 'our team will', 'phase 1'],
+    patterns: [/^#*\s*(?:scope|pricing|timeline|deliverables|investment)\b/gim, /\$\s?\d[\d,]*/g]
+  },
+  onboarding: {
+    name: /\b(?:onboarding|welcome|getting[\s-]started|guide|handbook)\b/i,
+    terms: ['welcome', 'onboarding', 'getting started', 'first week', 'set up your', 'kickoff',
+      'checklist', 'your account', 'training', 'first 30 days', 'go-live'],
+    patterns: [/^\s*(?:step\s+\d+|\d+\.)\s+\S/gim, /^\s*[-*]\s+\[[ x]\]/gim]
+  },
+  marketing: {
+    name: /\b(?:landing|homepage|home|brochure|one[\s-]pager|blog|campaign)\b/i,
+    terms: ['best-in-class', 'world-class', 'sign up', 'free trial', 'why choose', 'customers love',
+      'book a demo', 'learn more', 'trusted by', 'all-in-one', 'seamless', 'get started today'],
+    patterns: [/!/g, /\b(?:you|your)\b/gi]
+  },
+  sales_script: {
+    name: /\b(?:script|talk[\s-]track|call[\s-]guide|objections?|battlecard)\b/i,
+    terms: ['objection', 'discovery question', 'prospect', 'if they say', 'pitch', 'talk track',
+      'pain point', 'decision maker', 'close the deal', 'follow up', 'ask them'],
+    patterns: [/^\s*(?:rep|you|prospect|customer|ae|sdr)\s*:/gim, /^\s*(?:ask|say)\s*:/gim]
+  },
+  internal_process: {
+    name: /\b(?:process|procedure|sop|policy|runbook|playbook|workflow|raci)\b/i,
+    terms: ['procedure', 'standard operating', 'responsible for', 'escalat', 'approval', 'workflow',
+      'policy', 'owner', 'raci', 'internal', 'hand off', 'sla'],
+    patterns: [/^\s*(?:step\s+\d+|\d+\.)\s+\S/gim, /\b(?:must|is responsible for)\b/gi]
+  },
+  meeting_transcript: {
+    name: /\b(?:notes|minutes|transcript|call|meeting|recap|standup)\b/i,
+    terms: ['attendees', 'action items', 'minutes', 'agenda', 'discussed', 'follow-up',
+      'next meeting', 'recording', 'takeaways'],
+    patterns: [/^\s*[A-Z][a-z]+(?:\s[A-Z][a-z]+)?\s*:/gm, /\b\d{1,2}:\d{2}\b/g]
+  }
+};
+
+const MAX_PATTERN_HITS = 3;
+const NAME_WEIGHT = 3;
+
+// Below this score the cues are too weak to commit to a type
+const MIN_SCORE = 3;
+
+// Heuristic results below this confidence are sent to the AI when it is enabled
+const AI_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Classify a document from structural and lexical cues
+ * Returns { documentType, confidence, signals, source }.
+ */
+export function classifyDocument(input) {
+  const content = input.content || '';
+  const contentLower = content.toLowerCase();
+  const scores = [];
+
+  for (const [documentType, cues] of Object.entries(CLASSIFIER_CUES)) {
+    let score = 0;
+    const signals = [];
+
+    if (input.name && cues.name.test(input.name)) {
+      score += NAME_WEIGHT;
+      signals.push(`name: ${input.name}`);
+    }
+
+    for (const term of cues.terms) {
+      if (contentLower.includes(term)) {
+        score += 1;
+        signals.push(term);
+      }
+    }
+
+    for (const pattern of cues.patterns) {
+      const hits = Math.min(MAX_PATTERN_HITS, (content.match(pattern) || []).length);
+      score += hits * 0.5;
+    }
+
+    scores.push({ documentType, score, signals });
+  }
+
+  scores.sort((a, b) => b.score - a.score);
+  const [top, second] = scores;
+
+  // Scraped pages stay "website" unless the page reads clearly as something else
+  if (input.type === 'website' && (top.score < MIN_SCORE * 2 || top.documentType === 'marketing')) {
+    return { documentType: 'website', confidence: 0.9, signals: ['scraped web page'], source: 'heuristic' };
+  }
+
+  if (top.score < MIN_SCORE) {
+    return { documentType: 'other', confidence: 0.5, signals: top.signals.slice(0, 5), source: 'heuristic' };
+  }
+
+  const confidence = Math.min(0.95, top.score / (top.score + second.score + 1));
+
+  return {
+    documentType: top.documentType,
+    confidence: Math.round(confidence * 100) / 100,
+    signals: top.signals.slice(0, 5),
+    source: 'heuristic'
+  };
+}
+
+/**
+ * Classify a document, asking the AI when the cues are inconclusive
+ */
+export async function classifyDocumentWithAI(input, { useAI = false, anthropicClient = null } = {}) {
+  const heuristic = classifyDocument(input);
+
+  if (!useAI || !anthropicClient || heuristic.confidence >= AI_CONFIDENCE_THRESHOLD) {
+    return heuristic;
+  }
+
+  try {
+    const result = await classifyDocumentAI(input, heuristic, anthropicClient);
+    return result || heuristic;
+  } catch (e) {
+    console.error('AI document classification failed:', e);
+    return heuristic;
+  }
+}
+
+/**
+ * Resolve the document type used for scoring
+ * A documentType supplied with the input wins over any inference; the app
+ * sends along how it was chosen (inferred earlier or picked by the user).
+ * Inputs that need the AI are classified AI_CONCURRENCY at a time.
+ */
+export async function resolveDocumentTypes(inputs, options = {}) {
+  return mapConcurrent(inputs, AI_CONCURRENCY, async input => {
+    if (input.documentType && input.documentType in DOCUMENT_RISK_WEIGHTS) {
+      return {
+        documentType: input.documentType,
+        confidence: input.documentTypeConfidence ?? 1,
+        signals: [],
+        source: input.documentTypeSource || 'provided'
+      };
+    }
+    return classifyDocumentWithAI(input, options);
+  });
+}
+
+async function classifyDocumentAI(input, heuristic, client) {
+  const types = Object.keys(CLASSIFIER_CUES).concat('other');
+
+  const prompt = `Classify this business document into exactly one type: ${types.join(', ')}.
+
+Document name: ${input.name || 'untitled'}
+Keyword-based guess: ${heuristic.documentType} (confidence ${heuristic.confidence})
+
+Beginning of the document:
+"""
+${(input.content || '').slice(0, 3000)}
+"""
+
+Respond in JSON only:
+{"document_type": "one of the types above", "confidence": 0.0-1.0, "reason": "brief explanation"}`;
+
+  const response = await client.messages.create({
+    model: 'claude-3-haiku-20240307',
+    max_tokens: 200,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  const text = response.content[0].text;
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  const data = JSON.parse(jsonMatch[0]);
+  if (!types.includes(data.document_type)) return null;
+
+  const confidence = Math.max(0, Math.min(1, Number(data.confidence) || 0));
+
+  return {
+    documentType: data.document_type,
+    confidence: Math.round(confidence * 100) / 100,
+    signals: data.reason ? [data.reason] : [],
+    source: 'ai'
+  };
+}
@@ -0,0 +1,220 @@
+/**
+ * Semantic Score - Authoritative Glossary
+ * Parses uploaded glossaries (CSV, Markdown table or JSON) and compares
+ * in-document definitions against the canonical entries
+ */
+
+import { getConceptKey } from './lemmatizer.js';
+
+// Column headers accepted for the term and definition columns
+const TERM_HEADERS = ['term', 'name', 'word', 'concept'];
+const DEFINITION_HEADERS = ['definition', 'meaning', 'description', 'defined as'];
+
+// Duration units normalized to hours so "1 business day" and "8 hours" compare
+const DURATION_HOURS = {
+  minute: 1 / 60,
+  hour: 1,
+  'business day': 8,
+  day: 24,
+  'business week': 40,
+  week: 168,
+  month: 730,
+  year: 8760
+};
+
+const QUANTITY_PATTERN = /(\d+(?:\.\d+)?)\s*(%|percent|minutes?|hours?|business\s+days?|days?|business\s+weeks?|weeks?|months?|years?)/gi;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'by', 'with', 'is', 'are',
+  'be', 'been', 'this', 'that', 'it', 'its', 'as', 'at', 'from', 'any', 'all', 'our', 'we',
+  'you', 'your', 'their', 'has', 'have', 'not', 'no', 'when', 'which', 'who', 'means'
+]);
+
+/**
+ * Parse a glossary file into { term, definition } entries
+ * The format is taken from the file extension and falls back to sniffing the content.
+ */
+export function parseGlossary(content, fileName = '') {
+  const ext = fileName.split('.').pop().toLowerCase();
+  const trimmed = content.trim();
+
+  if (ext === 'json' || /^[[{]/.test(trimmed)) {
+    return parseJsonGlossary(trimmed);
+  }
+  if (ext === 'md' || /^\|/m.test(trimmed)) {
+    return parseMarkdownGlossary(trimmed);
+  }
+  return parseCsvGlossary(trimmed);
+}
+
+/**
+ * Build a lookup of concept key -> glossary entry from glossary inputs
+ * Earlier glossaries win when two of them define the same concept.
+ */
+export function buildGlossaryIndex(glossaryInputs) {
+  const index = new Map();
+
+  for (const input of glossaryInputs) {
+    for (const entry of parseGlossary(input.content, input.name)) {
+      const key = getConceptKey(entry.term);
+      if (!index.has(key)) {
+        index.set(key, { ...entry, source: input.name });
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Explain how a document's own definition contradicts the glossary
+ * Returns null when the two are compatible.
+ */
+export function compareDefinitions(glossaryText, documentText) {
+  const canonical = extractQuantities(glossaryText);
+  const local = extractQuantities(documentText);
+
+  for (const kind of ['duration', 'percent']) {
+    const a = canonical.filter(q => q.kind === kind);
+    const b = local.filter(q => q.kind === kind);
+    if (a.length && b.length && !b.some(q => a.some(c => c.value === q.value))) {
+      return `Glossary says "${a[0].text}", document says "${b[0].text}"`;
+    }
+  }
+
+  const canonicalWords = contentWords(glossaryText);
+  const localWords = contentWords(documentText);
+  if (canonicalWords.size >= 3 && localWords.size >= 3) {
+    const shared = [...localWords].filter(w => canonicalWords.has(w)).length;
+    const overlap = shared / new Set([...canonicalWords, ...localWords]).size;
+    if (overlap < 0.1) {
+      return 'Document definition shares almost no wording with the glossary entry';
+    }
+  }
+
+  return null;
+}
+
+function parseJsonGlossary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Could not parse glossary JSON: ${e.message}`);
+  }
+
+  if (data && !Array.isArray(data) && Array.isArray(data.terms)) {
+    data = data.terms;
+  }
+
+  if (Array.isArray(data)) {
+    return data
+      .filter(item => item && item.term && item.definition)
+      .map(item => ({ term: String(item.term).trim(), definition: String(item.definition).trim() }));
+  }
+
+  if (data && typeof data === 'object') {
+    return Object.entries(data)
+      .filter(([, definition]) => typeof definition === 'string' && definition.trim())
+      .map(([term, definition]) => ({ term: term.trim(), definition: definition.trim() }));
+  }
+
+  throw new Error('Glossary JSON must be a list of { term, definition } or a term -> definition object');
+}
+
+function parseMarkdownGlossary(text) {
+  const rows = text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('|'))
+    .filter(line => !/^\|[\s:|-]+\|?$/.test(line))
+    .map(line => line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()));
+
+  return rowsToEntries(rows);
+}
+
+function parseCsvGlossary(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rowsToEntries(rows.filter(r => r.some(c => c)));
+}
+
+/**
+ * Map table rows to entries, using a header row when one is present
+ */
+function rowsToEntries(rows) {
+  if (!rows.length) return [];
+
+  const header = rows[0].map(h => h.toLowerCase());
+  let termCol = header.findIndex(h => TERM_HEADERS.includes(h));
+  let defCol = header.findIndex(h => DEFINITION_HEADERS.includes(h));
+  let body = rows.slice(1);
+
+  if (termCol === -1 || defCol === -1) {
+    termCol = 0;
+    defCol = 1;
+    body = rows;
+  }
+
+  return body
+    .filter(r => r[termCol] && r[defCol])
+    .map(r => ({ term: r[termCol], definition: r[defCol] }));
+}
+
+function extractQuantities(text) {
+  const quantities = [];
+
+  for (const match of text.matchAll(QUANTITY_PATTERN)) {
+    const amount = parseFloat(match[1]);
+    const unit = match[2].toLowerCase().replace(/\s+/g, ' ').replace(/s$/, '');
+
+    if (unit === '%' || unit === 'percent') {
+      quantities.push({ kind: 'percent', value: amount, text: match[0] });
+    } else {
+      quantities.push({ kind: 'duration', value: amount * DURATION_HOURS[unit], text: match[0] });
+    }
+  }
+
+  return quantities;
+}
+
+function contentWords(text) {
+  return new Set(
+    text.toLowerCase()
+      .split(/[^a-z0-9%]+/)
+      .filter(w => w.length > 2 && !STOPWORDS.has(w))
+  );
+}
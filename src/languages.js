@@ -0,0 +1,130 @@
+/**
+ * Semantic Score - Languages
+ * Detects the language of each input and hands the scorers the term
+ * library, signal lists and phrasings for it
+ */
+
+import {
+  VAGUE_PATTERNS,
+  EXCLUSION_SIGNALS,
+  INCLUSION_SIGNALS,
+  LIMIT_SIGNALS,
+  PROMISE_PATTERNS,
+  DEFINITION_PATTERNS
+} from './termLibrary.js';
+import * as es from './locales/es.js';
+import * as de from './locales/de.js';
+import * as fr from './locales/fr.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Common English words, for detection; the other packs carry their own
+const ENGLISH_STOPWORDS = [
+  'the', 'and', 'of', 'to', 'is', 'are', 'we', 'will', 'with', 'for', 'that', 'this',
+  'our', 'your', 'be', 'on', 'in', 'it', 'as', 'an', 'by', 'not'
+];
+
+const LANGUAGE_PACKS = {
+  en: {
+    name: 'English',
+    stopwords: ENGLISH_STOPWORDS,
+    terms: {},
+    vaguePatterns: VAGUE_PATTERNS,
+    exclusionSignals: EXCLUSION_SIGNALS,
+    inclusionSignals: INCLUSION_SIGNALS,
+    limitSignals: LIMIT_SIGNALS,
+    promisePatterns: PROMISE_PATTERNS,
+    definitionPatterns: DEFINITION_PATTERNS,
+    // English ownership patterns live in ownership.js
+    ownership: null,
+    draftLabels: { threshold: 'Threshold', includes: 'Includes', excludes: 'Excludes' }
+  },
+  es: { name: 'Spanish', ...fromLocale(es) },
+  de: { name: 'German', ...fromLocale(de) },
+  fr: { name: 'French', ...fromLocale(fr) }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_PACKS);
+
+// Fewer stopword hits than this and the text is too short to tell
+const MIN_STOPWORD_HITS = 5;
+
+/**
+ * Guess an input's language from how often each language's common words appear
+ * Returns { language, confidence }; short or unrecognized text falls back to English.
+ */
+export function detectLanguage(text) {
+  const words = (text || '').toLowerCase().match(/\p{L}+(?:'\p{L}+)?/gu) || [];
+  const hits = Object.fromEntries(SUPPORTED_LANGUAGES.map(code => [code, 0]));
+  const lookup = new Map(SUPPORTED_LANGUAGES.map(code => [code, new Set(LANGUAGE_PACKS[code].stopwords)]));
+
+  for (const word of words) {
+    for (const [code, stopwords] of lookup) {
+      if (stopwords.has(word)) hits[code]++;
+    }
+  }
+
+  const total = Object.values(hits).reduce((sum, n) => sum + n, 0);
+  const [language, top] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+
+  if (top < MIN_STOPWORD_HITS) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0.5 };
+  }
+
+  return { language, confidence: Math.round((top / total) * 100) / 100 };
+}
+
+/**
+ * Resolve the language of every input
+ * A language supplied with the input wins over detection.
+ * Returns [{ language, confidence, source }] in input order.
+ */
+export function resolveLanguages(inputs) {
+  return inputs.map(input => {
+    if (input.language && SUPPORTED_LANGUAGES.includes(input.language)) {
+      return { language: input.language, confidence: 1, source: 'user' };
+    }
+    return { ...detectLanguage(input.content), source: 'detected' };
+  });
+}
+
+/**
+ * Term library, signal lists and phrasings for a language
+ */
+export function getLanguagePack(language) {
+  return LANGUAGE_PACKS[language] || LANGUAGE_PACKS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Localized high-stakes terms for the languages a corpus uses
+ * Returns { terms: { term: category }, languages: { term: [language] } } so
+ * each term can be matched only in inputs written in one of its languages.
+ */
+export function getLocalizedTerms(languages) {
+  const terms = {};
+  const termLanguages = {};
+
+  for (const code of new Set(languages)) {
+    for (const [term, category] of Object.entries(getLanguagePack(code).terms)) {
+      terms[term] = category;
+      (termLanguages[term] ||= []).push(code);
+    }
+  }
+
+  return { terms, languages: termLanguages };
+}
+
+function fromLocale(locale) {
+  return {
+    stopwords: locale.STOPWORDS,
+    terms: locale.TERMS,
+    vaguePatterns: locale.VAGUE_PATTERNS,
+    exclusionSignals: locale.EXCLUSION_SIGNALS,
+    inclusionSignals: locale.INCLUSION_SIGNALS,
+    limitSignals: locale.LIMIT_SIGNALS,
+    promisePatterns: locale.PROMISE_PATTERNS,
+    definitionPatterns: locale.DEFINITION_PATTERNS,
+    ownership: locale.OWNERSHIP,
+    draftLabels: locale.DRAFT_LABELS
+  };
+}
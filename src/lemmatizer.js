@@ -0,0 +1,116 @@
+/**
+ * Semantic Score - Term Families
+ * Morphological normalization that groups surface forms ("onboard",
+ * "onboarded", "onboarding", "hand-off", "handoff") into one concept
+ */
+
+import { getTermCategory, getRiskMultiplier, TermCategory } from './termLibrary.js';
+
+// Nominalizations that belong to the same concept as their verb
+const DERIVATIONS = {
+  approval: 'approve',
+  activation: 'activate',
+  completion: 'complete',
+  delegation: 'delegate',
+  deployment: 'deploy',
+  escalation: 'escalate',
+  finalization: 'finalize',
+  implementation: 'implement',
+  qualification: 'qualify',
+  resolution: 'resolve'
+};
+
+// Doubled final consonants that are part of the stem ("called", "missed")
+const KEEP_DOUBLED = new Set(['l', 's', 'f', 'z']);
+
+/**
+ * Normalize a term to the key shared by all of its variants
+ * Separators are dropped so "hand off", "hand-off" and "handoff" collide,
+ * and the last word is reduced to its stem.
+ */
+export function getConceptKey(term) {
+  const words = term.toLowerCase().trim().split(/[\s-]+/).filter(Boolean);
+  if (!words.length) return '';
+
+  words[words.length - 1] = stemWord(words[words.length - 1]);
+  return words.join('');
+}
+
+/**
+ * Group library terms into concept families
+ * Returns Map conceptKey -> { forms, category }. When forms disagree on the
+ * category, the family takes the riskiest one.
+ */
+export function buildTermFamilies(library) {
+  const families = new Map();
+
+  for (const form of Object.keys(library.terms)) {
+    const key = getConceptKey(form);
+    if (!families.has(key)) {
+      families.set(key, { forms: [], category: null });
+    }
+
+    const family = families.get(key);
+    family.forms.push(form);
+
+    const category = getTermCategory(form, library.terms) || TermCategory.GENERAL;
+    if (!family.category ||
+        getRiskMultiplier(category, library.riskMultipliers) > getRiskMultiplier(family.category, library.riskMultipliers)) {
+      family.category = category;
+    }
+  }
+
+  // Longest forms first so a regex alternation prefers the fullest match
+  for (const family of families.values()) {
+    family.forms.sort((a, b) => b.length - a.length || a.localeCompare(b));
+  }
+
+  return families;
+}
+
+/**
+ * One regex per family; spaces and hyphens inside a form are interchangeable
+ * Word edges are Unicode-aware so accented forms ("garantía") match whole.
+ */
+export function buildFamilyRegex(forms) {
+  const alternatives = forms.map(form =>
+    form.split(/[\s-]+/).map(escapeRegex).join('[\\s-]?')
+  );
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Normalize a matched surface form for the variant breakdown
+ */
+export function normalizeVariant(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ');
+}
+
+function stemWord(word) {
+  let stem = DERIVATIONS[word] || word;
+
+  if (stem.length > 4 && /ie[sd]$/.test(stem)) {
+    stem = stem.slice(0, -3) + 'y';
+  } else if (stem.length > 5 && stem.endsWith('ing')) {
+    stem = undouble(stem.slice(0, -3));
+  } else if (stem.length > 4 && stem.endsWith('ed')) {
+    stem = undouble(stem.slice(0, -2));
+  } else if (stem.length > 3 && stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  // "approve" and "approved" both reduce to "approv"
+  return stem.length > 3 ? stem.replace(/e+$/, '') : stem;
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function undouble(stem) {
+  const last = stem[stem.length - 1];
+  if (stem.length > 3 && last === stem[stem.length - 2] && !KEEP_DOUBLED.has(last)) {
+    return stem.slice(0, -1);
+  }
+  return stem;
+}
@@ -0,0 +1,115 @@
+/**
+ * Semantic Score - German Language Pack
+ * High-stakes terms, signal lists and phrasings for German documents
+ */
+
+import { TermCategory } from '../termLibrary.js';
+
+// Common words that identify the language
+export const STOPWORDS = [
+  'der', 'die', 'das', 'und', 'ist', 'mit', 'für', 'wir', 'nicht', 'ein', 'eine',
+  'zu', 'den', 'dem', 'des', 'von', 'auf', 'werden', 'wird', 'sind', 'im', 'ihr'
+];
+
+export const TERMS = {
+  // PROMISE WORDS
+  'support': TermCategory.PROMISE_WORD,
+  'unterstützung': TermCategory.PROMISE_WORD,
+  'betreuung': TermCategory.PROMISE_WORD,
+  'garantie': TermCategory.PROMISE_WORD,
+  'garantiert': TermCategory.PROMISE_WORD,
+  'unbegrenzt': TermCategory.PROMISE_WORD,
+  'umfassend': TermCategory.PROMISE_WORD,
+  'persönlich': TermCategory.PROMISE_WORD,
+  'proaktiv': TermCategory.PROMISE_WORD,
+  'strategisch': TermCategory.PROMISE_WORD,
+  'verpflichtung': TermCategory.PROMISE_WORD,
+  'schlüsselfertig': TermCategory.PROMISE_WORD,
+  'reibungslos': TermCategory.PROMISE_WORD,
+  'verfügbar': TermCategory.PROMISE_WORD,
+
+  // LIFECYCLE VERBS
+  'onboarding': TermCategory.LIFECYCLE_VERB,
+  'einarbeitung': TermCategory.LIFECYCLE_VERB,
+  'implementierung': TermCategory.LIFECYCLE_VERB,
+  'einführung': TermCategory.LIFECYCLE_VERB,
+  'inbetriebnahme': TermCategory.LIFECYCLE_VERB,
+  'go-live': TermCategory.LIFECYCLE_VERB,
+  'lieferung': TermCategory.LIFECYCLE_VERB,
+  'aktivierung': TermCategory.LIFECYCLE_VERB,
+  'migration': TermCategory.LIFECYCLE_VERB,
+  'eskalation': TermCategory.LIFECYCLE_VERB,
+  'verlängerung': TermCategory.LIFECYCLE_VERB,
+  'übergabe': TermCategory.LIFECYCLE_VERB,
+
+  // FINANCIAL/STRATEGIC TERMS
+  'rendite': TermCategory.FINANCIAL_STRATEGIC,
+  'mehrwert': TermCategory.FINANCIAL_STRATEGIC,
+  'wachstum': TermCategory.FINANCIAL_STRATEGIC,
+  'optimierung': TermCategory.FINANCIAL_STRATEGIC,
+  'wirtschaftlichkeit': TermCategory.FINANCIAL_STRATEGIC,
+
+  // STATUS LABELS
+  'abgeschlossen': TermCategory.STATUS_LABEL,
+  'erledigt': TermCategory.STATUS_LABEL,
+  'freigegeben': TermCategory.STATUS_LABEL,
+  'genehmigt': TermCategory.STATUS_LABEL,
+  'ausstehend': TermCategory.STATUS_LABEL,
+
+  // OWNERSHIP TERMS
+  'verantwortlich': TermCategory.OWNERSHIP_TERM,
+  'zuständig': TermCategory.OWNERSHIP_TERM,
+  'ansprechpartner': TermCategory.OWNERSHIP_TERM,
+  'kundenbetreuer': TermCategory.OWNERSHIP_TERM
+};
+
+export const VAGUE_PATTERNS = [
+  'nach Bedarf', 'angemessen', 'zeitnah', 'ausreichend', 'hochwertig', 'bestmöglich',
+  'nach bestem Wissen', 'wesentlich', 'erheblich', 'geeignet', 'zufriedenstellend',
+  'akzeptabel', 'in der Regel', 'normalerweise', 'ungefähr', 'circa', 'zügig',
+  'umgehend', 'baldmöglichst', 'so schnell wie möglich'
+];
+
+export const EXCLUSION_SIGNALS = [
+  'nicht enthalten', 'nicht inbegriffen', 'ausgenommen', 'ausgeschlossen',
+  'außerhalb des Umfangs', 'nicht abgedeckt', 'Einschränkungen', 'Beschränkungen', 'Ausnahmen'
+];
+
+export const INCLUSION_SIGNALS = [
+  'enthält', 'einschließlich', 'inklusive', 'umfasst', 'beinhaltet', 'insbesondere', 'abgedeckt'
+];
+
+export const LIMIT_SIGNALS = [
+  'bis zu', 'maximal', 'höchstens', 'mindestens', 'begrenzt auf', 'nicht mehr als',
+  'innerhalb von', 'pro Monat', 'pro Woche', 'pro Tag', 'pro Jahr', 'monatlich',
+  'wöchentlich', 'täglich', 'jährlich', 'Stunden'
+];
+
+export const PROMISE_PATTERNS = [
+  /\b(?:wir\s+)?(?:bieten|liefern|garantieren|gewährleisten|stellen\s+sicher|sichern\s+zu)\b/gi,
+  /\b(?:unbegrenzte?[nmrs]?|umfassende?[nmrs]?|Rundum-Service)\b/gi,
+  /\b(?:Support|Unterstützung|Betreuung|Partnerschaft|Verpflichtung)\b(?![\s-]+(?:Manager|Team|Leiter|Mitarbeiter)(?:in(?:nen)?)?\b)/gi
+];
+
+export const DEFINITION_PATTERNS = [
+  `{term}["']?\\s+(?:bedeutet|bezeichnet|meint|ist definiert als)\\s+["']?([^.]+)`,
+  `unter\\s+["']?{term}["']?\\s+(?:verstehen wir|versteht man)\\s+([^.]+)`,
+  `["']?{term}["']?\\s*[-:]\\s*([^.]+)`,
+  `Definition von\\s+["']?{term}["']?\\s*[-:]\\s*([^.]+)`
+];
+
+// Ownership phrasing: determiners before a role, words that join a role's
+// name, phrases that assign an activity, owners that name nobody and the
+// words that end a clause
+export const OWNERSHIP = {
+  determiners: ['der', 'die', 'das', 'unser', 'unsere', 'ihr', 'ihre', 'jeder', 'jede'],
+  connectors: ['von', 'der', 'für'],
+  responsible: ['ist verantwortlich für', 'sind verantwortlich für', 'ist zuständig für', 'sind zuständig für', 'kümmert sich um'],
+  vagueOwners: ['jemand', 'wir', 'unser Team', 'das Team'],
+  firstPerson: ['wir', 'unser team', 'das team'],
+  clauseBreaks: ['und', 'innerhalb', 'vor', 'nach', 'wenn', 'falls']
+};
+
+// Labels for the parts of an AI-drafted definition; the include and exclude
+// labels are inclusion and exclusion signals, so a draft grades as bounded
+export const DRAFT_LABELS = { threshold: 'Schwellenwert', includes: 'Umfasst', excludes: 'Ausgenommen' };
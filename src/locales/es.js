@@ -0,0 +1,116 @@
+/**
+ * Semantic Score - Spanish Language Pack
+ * High-stakes terms, signal lists and phrasings for Spanish documents
+ */
+
+import { TermCategory } from '../termLibrary.js';
+
+// Common words that identify the language
+export const STOPWORDS = [
+  'el', 'la', 'los', 'las', 'de', 'del', 'que', 'y', 'es', 'en', 'por', 'para',
+  'con', 'una', 'un', 'se', 'su', 'sus', 'nuestro', 'nuestra', 'al', 'lo'
+];
+
+export const TERMS = {
+  // PROMISE WORDS
+  'soporte': TermCategory.PROMISE_WORD,
+  'asistencia': TermCategory.PROMISE_WORD,
+  'garantía': TermCategory.PROMISE_WORD,
+  'garantizado': TermCategory.PROMISE_WORD,
+  'ilimitado': TermCategory.PROMISE_WORD,
+  'integral': TermCategory.PROMISE_WORD,
+  'dedicado': TermCategory.PROMISE_WORD,
+  'personalizado': TermCategory.PROMISE_WORD,
+  'proactivo': TermCategory.PROMISE_WORD,
+  'estratégico': TermCategory.PROMISE_WORD,
+  'compromiso': TermCategory.PROMISE_WORD,
+  'llave en mano': TermCategory.PROMISE_WORD,
+  'sin interrupciones': TermCategory.PROMISE_WORD,
+  'disponible': TermCategory.PROMISE_WORD,
+
+  // LIFECYCLE VERBS
+  'incorporación': TermCategory.LIFECYCLE_VERB,
+  'implementación': TermCategory.LIFECYCLE_VERB,
+  'implantación': TermCategory.LIFECYCLE_VERB,
+  'lanzamiento': TermCategory.LIFECYCLE_VERB,
+  'puesta en marcha': TermCategory.LIFECYCLE_VERB,
+  'entrega': TermCategory.LIFECYCLE_VERB,
+  'activación': TermCategory.LIFECYCLE_VERB,
+  'migración': TermCategory.LIFECYCLE_VERB,
+  'escalamiento': TermCategory.LIFECYCLE_VERB,
+  'renovación': TermCategory.LIFECYCLE_VERB,
+  'transición': TermCategory.LIFECYCLE_VERB,
+
+  // FINANCIAL/STRATEGIC TERMS
+  'retorno de la inversión': TermCategory.FINANCIAL_STRATEGIC,
+  'valor añadido': TermCategory.FINANCIAL_STRATEGIC,
+  'crecimiento': TermCategory.FINANCIAL_STRATEGIC,
+  'optimización': TermCategory.FINANCIAL_STRATEGIC,
+  'rentabilidad': TermCategory.FINANCIAL_STRATEGIC,
+
+  // STATUS LABELS
+  'completado': TermCategory.STATUS_LABEL,
+  'finalizado': TermCategory.STATUS_LABEL,
+  'aprobado': TermCategory.STATUS_LABEL,
+  'pendiente': TermCategory.STATUS_LABEL,
+  'en curso': TermCategory.STATUS_LABEL,
+
+  // OWNERSHIP TERMS
+  'responsable': TermCategory.OWNERSHIP_TERM,
+  'gestor de cuenta': TermCategory.OWNERSHIP_TERM,
+  'interlocutor': TermCategory.OWNERSHIP_TERM,
+  'equipo': TermCategory.OWNERSHIP_TERM
+};
+
+export const VAGUE_PATTERNS = [
+  'según sea necesario', 'razonable', 'razonablemente', 'oportuno', 'oportunamente',
+  'adecuado', 'adecuada', 'adecuadamente', 'suficiente', 'alta calidad',
+  'mejores esfuerzos', 'buena fe', 'sustancial', 'significativo', 'apropiado',
+  'satisfactorio', 'aceptable', 'generalmente', 'normalmente', 'aproximadamente',
+  'alrededor de', 'pronto', 'rápidamente', 'lo antes posible', 'eficazmente'
+];
+
+export const EXCLUSION_SIGNALS = [
+  'no incluye', 'no incluido', 'no incluida', 'excluye', 'excluido', 'fuera del alcance',
+  'no cubre', 'no cubierto', 'no ofrecemos', 'limitaciones', 'restricciones', 'excepciones'
+];
+
+export const INCLUSION_SIGNALS = [
+  'incluye', 'incluido', 'incluida', 'incluyendo', 'específicamente', 'cubre',
+  'comprende', 'consiste en', 'contiene'
+];
+
+export const LIMIT_SIGNALS = [
+  'hasta', 'máximo', 'mínimo', 'limitado a', 'no más de', 'no menos de', 'al menos',
+  'como máximo', 'dentro de', 'en un plazo de', 'por mes', 'por semana', 'por día',
+  'al mes', 'al año', 'mensual', 'semanal', 'diario', 'horas'
+];
+
+export const PROMISE_PATTERNS = [
+  /\b(?:ofrecemos|ofreceremos|proporcionamos|proporcionaremos|garantizamos|aseguramos|entregaremos|brindamos)\b/gi,
+  /\b(?:ilimitad[oa]s?|integral(?:es)?|llave\s+en\s+mano)\b/gi,
+  /\b(?:soporte|asistencia|compromiso|acompañamiento)\b/gi
+];
+
+export const DEFINITION_PATTERNS = [
+  `{term}["']?\\s+(?:significa|se define como|se refiere a)\\s+["']?([^.]+)`,
+  `(?:por|cuando decimos)\\s+["']?{term}["']?,?\\s+(?:se entiende|nos referimos a|entendemos)\\s+([^.]+)`,
+  `["']?{term}["']?\\s*[-:]\\s*([^.]+)`,
+  `definición de\\s+["']?{term}["']?\\s*[-:]\\s*([^.]+)`
+];
+
+// Ownership phrasing: determiners before a role, words that join a role's
+// name, phrases that assign an activity, owners that name nobody and the
+// words that end a clause
+export const OWNERSHIP = {
+  determiners: ['el', 'la', 'los', 'las', 'nuestro', 'nuestra', 'su', 'cada'],
+  connectors: ['de', 'del', 'de la'],
+  responsible: ['es responsable de', 'son responsables de', 'se encarga de', 'se encargará de', 'está a cargo de'],
+  vagueOwners: ['alguien', 'nosotros', 'nuestro equipo', 'el equipo'],
+  firstPerson: ['nosotros', 'nuestro equipo', 'el equipo'],
+  clauseBreaks: ['y', 'dentro', 'antes', 'después', 'cuando', 'si']
+};
+
+// Labels for the parts of an AI-drafted definition; the include and exclude
+// labels are inclusion and exclusion signals, so a draft grades as bounded
+export const DRAFT_LABELS = { threshold: 'Umbral', includes: 'Incluye', excludes: 'Excluye' };
@@ -0,0 +1,114 @@
+/**
+ * Semantic Score - French Language Pack
+ * High-stakes terms, signal lists and phrasings for French documents
+ */
+
+import { TermCategory } from '../termLibrary.js';
+
+// Common words that identify the language
+export const STOPWORDS = [
+  'le', 'la', 'les', 'et', 'est', 'des', 'du', 'pour', 'avec', 'nous', 'une', 'un',
+  'dans', 'que', 'sur', 'vous', 'pas', 'sont', 'au', 'aux', 'votre', 'notre'
+];
+
+export const TERMS = {
+  // PROMISE WORDS
+  'support': TermCategory.PROMISE_WORD,
+  'assistance': TermCategory.PROMISE_WORD,
+  'accompagnement': TermCategory.PROMISE_WORD,
+  'garantie': TermCategory.PROMISE_WORD,
+  'garanti': TermCategory.PROMISE_WORD,
+  'illimité': TermCategory.PROMISE_WORD,
+  'dédié': TermCategory.PROMISE_WORD,
+  'personnalisé': TermCategory.PROMISE_WORD,
+  'proactif': TermCategory.PROMISE_WORD,
+  'stratégique': TermCategory.PROMISE_WORD,
+  'engagement': TermCategory.PROMISE_WORD,
+  'clé en main': TermCategory.PROMISE_WORD,
+  'sans friction': TermCategory.PROMISE_WORD,
+  'disponible': TermCategory.PROMISE_WORD,
+
+  // LIFECYCLE VERBS
+  'intégration': TermCategory.LIFECYCLE_VERB,
+  'mise en œuvre': TermCategory.LIFECYCLE_VERB,
+  'déploiement': TermCategory.LIFECYCLE_VERB,
+  'lancement': TermCategory.LIFECYCLE_VERB,
+  'mise en service': TermCategory.LIFECYCLE_VERB,
+  'livraison': TermCategory.LIFECYCLE_VERB,
+  'activation': TermCategory.LIFECYCLE_VERB,
+  'migration': TermCategory.LIFECYCLE_VERB,
+  'escalade': TermCategory.LIFECYCLE_VERB,
+  'renouvellement': TermCategory.LIFECYCLE_VERB,
+  'passation': TermCategory.LIFECYCLE_VERB,
+
+  // FINANCIAL/STRATEGIC TERMS
+  'retour sur investissement': TermCategory.FINANCIAL_STRATEGIC,
+  'valeur ajoutée': TermCategory.FINANCIAL_STRATEGIC,
+  'croissance': TermCategory.FINANCIAL_STRATEGIC,
+  'optimisation': TermCategory.FINANCIAL_STRATEGIC,
+  'rentabilité': TermCategory.FINANCIAL_STRATEGIC,
+
+  // STATUS LABELS
+  'terminé': TermCategory.STATUS_LABEL,
+  'achevé': TermCategory.STATUS_LABEL,
+  'validé': TermCategory.STATUS_LABEL,
+  'approuvé': TermCategory.STATUS_LABEL,
+  'en attente': TermCategory.STATUS_LABEL,
+
+  // OWNERSHIP TERMS
+  'responsable': TermCategory.OWNERSHIP_TERM,
+  'interlocuteur': TermCategory.OWNERSHIP_TERM,
+  'chargé de compte': TermCategory.OWNERSHIP_TERM,
+  'équipe': TermCategory.OWNERSHIP_TERM
+};
+
+export const VAGUE_PATTERNS = [
+  'selon les besoins', 'au besoin', 'raisonnable', 'raisonnablement', 'en temps utile',
+  'adéquat', 'suffisant', 'haute qualité', 'meilleurs efforts', 'bonne foi', 'substantiel',
+  'significatif', 'approprié', 'satisfaisant', 'acceptable', 'généralement', 'normalement',
+  'environ', 'approximativement', 'rapidement', 'dès que possible', 'bientôt', 'efficacement'
+];
+
+export const EXCLUSION_SIGNALS = [
+  "n'inclut pas", 'non inclus', 'non incluse', 'exclut', 'hors périmètre', 'hors du périmètre',
+  'non couvert', 'limitations', 'restrictions', 'exceptions'
+];
+
+export const INCLUSION_SIGNALS = [
+  'inclut', 'comprend', 'y compris', 'notamment', 'couvre', 'contient', 'consiste en'
+];
+
+export const LIMIT_SIGNALS = [
+  "jusqu'à", 'maximum', 'minimum', 'au moins', 'au plus', 'limité à', 'pas plus de',
+  'dans un délai de', 'par mois', 'par semaine', 'par jour', 'par an', 'mensuel',
+  'hebdomadaire', 'quotidien', 'heures'
+];
+
+export const PROMISE_PATTERNS = [
+  /\b(?:nous\s+)?(?:fournissons|fournirons|offrons|offrirons|garantissons|assurons|livrerons|proposons)\b/gi,
+  /\b(?:illimit[ée]e?s?|complet|complète|clés?\s+en\s+main)(?![\p{L}])/giu,
+  /\b(?:support|assistance|accompagnement|engagement|partenariat)\b/gi
+];
+
+export const DEFINITION_PATTERNS = [
+  `{term}["']?\\s+(?:signifie|désigne|se définit comme|est défini comme|fait référence à)\\s+["']?([^.]+)`,
+  `par\\s+["']?{term}["']?,?\\s+(?:nous entendons|on entend)\\s+([^.]+)`,
+  `["']?{term}["']?\\s*[-:]\\s*([^.]+)`,
+  `définition de\\s+["']?{term}["']?\\s*[-:]\\s*([^.]+)`
+];
+
+// Ownership phrasing: determiners before a role, words that join a role's
+// name, phrases that assign an activity, owners that name nobody and the
+// words that end a clause
+export const OWNERSHIP = {
+  determiners: ['le', 'la', 'les', 'notre', 'votre', 'chaque'],
+  connectors: ['de', 'du', 'des', 'de la'],
+  responsible: ['est responsable de', 'est responsable du', 'est responsable des', 'sont responsables de', 'se charge de', "s'occupe de", 'est en charge de'],
+  vagueOwners: ["quelqu'un", 'nous', 'notre équipe', "l'équipe"],
+  firstPerson: ['nous', 'notre équipe', "l'équipe"],
+  clauseBreaks: ['et', 'dans', 'avant', 'après', 'quand', 'si']
+};
+
+// Labels for the parts of an AI-drafted definition; the include and exclude
+// labels are inclusion and exclusion signals, so a draft grades as bounded
+export const DRAFT_LABELS = { threshold: 'Seuil', includes: 'Inclut', excludes: 'Exclut' };
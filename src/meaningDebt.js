@@ -0,0 +1,233 @@
+/**
+ * Semantic Score - Meaning Debt
+ * Estimates the annual cost of unclear language from organization inputs
+ * (industry, loaded salary, deal size, escalation cost), shows which
+ * assumptions drive the estimate and attributes it to high-risk terms
+ */
+
+// Per-industry assumptions; money is in USD, rates apply at a score of 0
+// and shrink linearly to nothing at 100
+export const INDUSTRY_PRESETS = {
+  general: {
+    averageSalary: 85000,
+    dealSize: 25000,
+    escalationCost: 2000,
+    clarificationHours: 1.5,
+    reworkShare: 0.04,
+    escalationsPerEmployee: 1,
+    dealsPerEmployee: 0.5,
+    dealLossRate: 0.1
+  },
+  agency: {
+    averageSalary: 80000,
+    dealSize: 40000,
+    escalationCost: 3000,
+    clarificationHours: 2,
+    reworkShare: 0.06,
+    escalationsPerEmployee: 1.5,
+    dealsPerEmployee: 0.4,
+    dealLossRate: 0.12
+  },
+  saas: {
+    averageSalary: 110000,
+    dealSize: 30000,
+    escalationCost: 2500,
+    clarificationHours: 1.5,
+    reworkShare: 0.04,
+    escalationsPerEmployee: 2,
+    dealsPerEmployee: 0.8,
+    dealLossRate: 0.08
+  },
+  professional_services: {
+    averageSalary: 120000,
+    dealSize: 75000,
+    escalationCost: 5000,
+    clarificationHours: 2,
+    reworkShare: 0.05,
+    escalationsPerEmployee: 1,
+    dealsPerEmployee: 0.3,
+    dealLossRate: 0.1
+  },
+  financial_services: {
+    averageSalary: 130000,
+    dealSize: 100000,
+    escalationCost: 10000,
+    clarificationHours: 1.5,
+    reworkShare: 0.03,
+    escalationsPerEmployee: 0.8,
+    dealsPerEmployee: 0.2,
+    dealLossRate: 0.08
+  }
+};
+
+export const DEFAULT_INDUSTRY = 'general';
+export const DEFAULT_CURRENCY = 'USD';
+
+// Inputs an organization can supply in place of the preset's values
+const MONEY_INPUTS = ['averageSalary', 'dealSize', 'escalationCost'];
+
+// How far each assumption is varied, up and down, for the sensitivity range;
+// supplied figures are known better than preset ones
+const SENSITIVITY = {
+  averageSalary: { preset: 0.25, user: 0.1 },
+  dealSize: { preset: 0.5, user: 0.2 },
+  escalationCost: { preset: 0.5, user: 0.2 },
+  clarificationHours: { preset: 0.5 },
+  reworkShare: { preset: 0.5 },
+  escalationsPerEmployee: { preset: 0.5 },
+  dealsPerEmployee: { preset: 0.5 },
+  dealLossRate: { preset: 0.5 }
+};
+
+// Working time in a year, for turning salary into an hourly rate
+const WORK_WEEKS = 46;
+const WORK_HOURS = WORK_WEEKS * 40;
+
+// Each high-risk term adds this share to the estimate, up to the cap
+const HIGH_RISK_TERM_FACTOR = 0.1;
+const MAX_RISK_MULTIPLIER = 2;
+
+// Estimates are rounded to this, term attributions to a tenth of it
+const ROUNDING = 1000;
+
+/**
+ * Parse and validate the meaning-debt inputs
+ * Accepts { industry, averageSalary, currency, dealSize, escalationCost };
+ * every field is optional. Returns the model (the preset merged with the
+ * supplied figures, and which figures were supplied) and throws with a
+ * readable message when an input is invalid.
+ */
+export function parseDebtModel(source) {
+  const data = source || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('debtModel must be an object with industry, averageSalary, currency, dealSize or escalationCost');
+  }
+
+  const industry = data.industry || DEFAULT_INDUSTRY;
+  if (!INDUSTRY_PRESETS[industry]) {
+    throw new Error(`Unknown industry "${industry}" (expected one of ${Object.keys(INDUSTRY_PRESETS).join(', ')})`);
+  }
+
+  const currency = String(data.currency || DEFAULT_CURRENCY).toUpperCase();
+  if (!Intl.supportedValuesOf('currency').includes(currency)) {
+    throw new Error(`Unknown currency "${currency}" (expected an ISO 4217 code such as USD or EUR)`);
+  }
+
+  const supplied = MONEY_INPUTS.filter(key => data[key] !== undefined && data[key] !== null && data[key] !== '');
+  for (const key of supplied) {
+    if (typeof data[key] !== 'number' || !(data[key] > 0)) {
+      throw new Error(`${key} must be a positive number`);
+    }
+  }
+
+  // The presets are in USD, so another currency needs every figure supplied
+  const missing = MONEY_INPUTS.filter(key => !supplied.includes(key));
+  if (currency !== DEFAULT_CURRENCY && missing.length) {
+    throw new Error(`With currency ${currency}, give ${missing.join(', ')} as well; the industry presets are in ${DEFAULT_CURRENCY}`);
+  }
+
+  return {
+    industry,
+    currency,
+    assumptions: {
+      ...INDUSTRY_PRESETS[industry],
+      ...Object.fromEntries(supplied.map(key => [key, data[key]]))
+    },
+    supplied
+  };
+}
+
+/**
+ * Estimate the annual cost of meaning debt
+ * Four costs grow as the score falls: time spent clarifying, rework, client
+ * escalations and deals lost to confusion. High-risk terms raise the total,
+ * and the total is attributed to them by risk score and occurrences.
+ */
+export function estimateMeaningDebt(score, companySize, highRiskTerms, model = parseDebtModel(null)) {
+  const riskMultiplier = Math.min(MAX_RISK_MULTIPLIER, 1 + highRiskTerms.length * HIGH_RISK_TERM_FACTOR);
+  const estimate = assumptions => computeCosts(score, companySize, riskMultiplier, assumptions);
+
+  const breakdown = estimate(model.assumptions);
+  const total = sumCosts(breakdown);
+
+  // Vary one assumption at a time; the range combines the swings as independent uncertainties
+  const swings = Object.entries(SENSITIVITY).map(([key, spread]) => {
+    const variation = model.supplied.includes(key) ? spread.user : spread.preset;
+    const value = model.assumptions[key];
+    return {
+      key,
+      value,
+      variation,
+      low: sumCosts(estimate({ ...model.assumptions, [key]: value * (1 - variation) })),
+      high: sumCosts(estimate({ ...model.assumptions, [key]: value * (1 + variation) }))
+    };
+  }).sort((a, b) => (b.high - b.low) - (a.high - a.low));
+
+  const downside = Math.sqrt(swings.reduce((sum, s) => sum + (total - s.low) ** 2, 0));
+  const upside = Math.sqrt(swings.reduce((sum, s) => sum + (s.high - total) ** 2, 0));
+
+  const termWeights = highRiskTerms.map(t => t.risk_score * t.occurrences);
+  const totalTermWeight = termWeights.reduce((sum, w) => sum + w, 0);
+
+  return {
+    estimate: roundMoney(total),
+    low_estimate: roundMoney(Math.max(0, total - downside)),
+    high_estimate: roundMoney(total + upside),
+    currency: model.currency,
+    period: 'annual',
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, cost]) => [key, roundMoney(cost)])),
+    assumptions: {
+      industry: model.industry,
+      company_size: companySize,
+      high_risk_multiplier: Math.round(riskMultiplier * 100) / 100,
+      ...Object.fromEntries(Object.entries(model.assumptions).map(([key, value]) => [toSnakeCase(key), value])),
+      supplied: model.supplied.map(toSnakeCase)
+    },
+    sensitivity: swings.map(s => ({
+      assumption: toSnakeCase(s.key),
+      source: model.supplied.includes(s.key) ? 'user' : 'preset',
+      value: s.value,
+      low_value: roundValue(s.value * (1 - s.variation)),
+      high_value: roundValue(s.value * (1 + s.variation)),
+      low_estimate: roundMoney(s.low),
+      high_estimate: roundMoney(s.high),
+      swing: roundMoney(s.high - s.low)
+    })),
+    term_attribution: highRiskTerms
+      .map((t, i) => ({
+        term: t.term,
+        share: totalTermWeight ? Math.round((termWeights[i] / totalTermWeight) * 1000) / 1000 : 0,
+        estimate: totalTermWeight ? Math.round((total * termWeights[i]) / totalTermWeight / (ROUNDING / 10)) * (ROUNDING / 10) : 0
+      }))
+      .sort((a, b) => b.estimate - a.estimate)
+  };
+}
+
+function computeCosts(score, companySize, riskMultiplier, a) {
+  // 0 at a perfect score, 1 at a score of 0
+  const severity = Math.max(0, Math.min(1, (100 - score) / 100)) * riskMultiplier;
+  const hourlyRate = a.averageSalary / WORK_HOURS;
+
+  return {
+    rework_misalignment: companySize * a.averageSalary * a.reworkShare * severity,
+    client_escalations: companySize * a.escalationsPerEmployee * a.escalationCost * severity,
+    employee_clarification_time: companySize * a.clarificationHours * WORK_WEEKS * hourlyRate * severity,
+    lost_deals_confusion: companySize * a.dealsPerEmployee * a.dealLossRate * a.dealSize * severity
+  };
+}
+
+function sumCosts(costs) {
+  return Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+}
+
+function roundMoney(n) {
+  return Math.round(n / ROUNDING) * ROUNDING;
+}
+
+function roundValue(n) {
+  return n >= 100 ? Math.round(n) : Math.round(n * 1000) / 1000;
+}
+
+function toSnakeCase(key) {
+  return key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
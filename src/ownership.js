@@ -0,0 +1,252 @@
+/**
+ * Semantic Score - Ownership Statements
+ * Extracts who owns what ("The Account Director is responsible for the
+ * engagement") as owner, action, object and source, resolves vague owners
+ * where the text allows, and builds a responsibility matrix
+ */
+
+import { getConceptKey } from './lemmatizer.js';
+import { getLanguagePack } from './languages.js';
+
+// Share of a statement's credit kept when its owner is only implied by context
+export const RESOLVED_OWNER_CREDIT = 0.5;
+
+// Verbs that assign an activity when a named owner "will" or "shall" do them
+const ACTIVITY_VERBS = [
+  'handle', 'manage', 'lead', 'run', 'own', 'send', 'schedule', 'provide', 'deliver', 'review',
+  'approve', 'prepare', 'coordinate', 'transfer', 'reimburse', 'maintain', 'monitor', 'escalate',
+  'resolve', 'configure', 'implement', 'train', 'invoice', 'report'
+];
+
+// A named owner: a capitalized name or role, or a role introduced by a determiner
+const OWNER = '(?<owner>(?:(?:[Tt]he|[Oo]ur|[Yy]our|[Ee]ach) +)?(?:[A-Z][\\w&-]*(?: +[A-Z][\\w&-]*){0,2})|(?:[Tt]he|[Oo]ur|[Yy]our|[Ee]ach) +[a-z][\\w-]*(?: +[a-z][\\w-]*){0,2})';
+
+// Owners that don't name anyone
+const VAGUE_OWNER = '(?<owner>[Ww]e|[Tt]hey|[Ss]omeone|[Ss]omebody|[Oo]ur team|[Tt]he team)';
+const VAGUE_OWNERS = new Set(['we', 'they', 'someone', 'somebody', 'our team', 'the team', 'team']);
+
+// Subjects that are not owners at all
+const NON_OWNERS = new Set(['it', 'this', 'that', 'which', 'there', 'you']);
+
+// The activity: the rest of the clause
+const OBJECT = '(?<object>[^.;:!?\\n,]{1,80}?)(?=[.;:!?\\n,]|\\s+(?:and|within|by|when|if|until|unless|before|after|during)\\b|$)';
+
+// The activity as the subject of a passive clause
+const SUBJECT = '(?<object>(?:[\\w-]+ +){0,3}[\\w-]+)';
+
+const PATTERNS = [
+  { regex: new RegExp(`${OWNER}\\s+(?:is|are)\\s+(?<action>responsible)\\s+for\\s+${OBJECT}`, 'g'), vague: false },
+  { regex: new RegExp(`${OWNER}\\s+(?<action>owns?)\\s+${OBJECT}`, 'g'), vague: false },
+  { regex: new RegExp(`${OWNER}\\s+(?:will|shall)\\s+(?<action>${ACTIVITY_VERBS.join('|')})\\s+${OBJECT}`, 'g'), vague: false },
+  { regex: new RegExp(`${SUBJECT}\\s+(?:is|are)\\s+(?:the\\s+)?(?<action>responsibility)\\s+of\\s+${OWNER}`, 'g'), vague: false },
+  { regex: new RegExp(`${SUBJECT}\\s+(?:is|are|will\\s+be)\\s+(?<action>owned|handled|managed|led|run)\\s+by\\s+${OWNER}`, 'g'), vague: false },
+  { regex: new RegExp(`\\b${VAGUE_OWNER}\\s+will\\s+(?<action>[a-z]+)\\s+${OBJECT}`, 'g'), vague: true },
+  { regex: new RegExp(`${SUBJECT}\\s+will\\s+be\\s+(?<action>handled|managed)\\b(?!\\s+by)`, 'gi'), vague: true },
+  { regex: new RegExp(`${SUBJECT}\\s+should\\s+be\\s+(?<action>done|completed)\\b(?!\\s+by)`, 'gi'), vague: true }
+];
+
+const DETERMINERS = /^(?:the|a|an|our|your|their|its|each|every|all|any)\s+/i;
+const TRAILING_ADVERBS = /\s+(?:soon|asap|quickly|promptly|later|today|first|too|also|daily|weekly|monthly)$/i;
+
+// Pronouns that refer back to the last named owner
+const ANAPHORS = new Set(['they']);
+
+// Vague owners that stand for the party a document declares as "we"
+const FIRST_PERSON = new Set(['we', 'team']);
+
+const ENGLISH_PATTERNS = {
+  patterns: PATTERNS,
+  determiners: DETERMINERS,
+  vagueOwners: VAGUE_OWNERS,
+  firstPerson: FIRST_PERSON,
+  partyPronouns: ['we', 'us']
+};
+
+// Patterns for the other language packs, built on first use
+const localizedPatterns = new Map();
+
+// How far back a pronoun can refer to a named owner
+const ANAPHOR_WINDOW = 300;
+
+/**
+ * Extract ownership statements from every input, in each input's language
+ * Returns [{ owner, ownerText, resolution, action, object, activity,
+ * docId, docName, text, start, end }]; resolution is named, resolved or unresolved.
+ */
+export function extractOwnershipStatements(inputs) {
+  const statements = [];
+
+  for (const input of inputs) {
+    const found = [];
+    const language = getPatterns(input.language);
+
+    for (const { regex, vague } of language.patterns) {
+      for (const match of input.content.matchAll(regex)) {
+        const { owner, action, object } = match.groups;
+        const ownerText = owner ? stripDeterminer(owner, language.determiners) : null;
+        const activity = cleanObject(object, language.determiners);
+        if (!activity || overlaps(found, match.index)) continue;
+        if (ownerText && NON_OWNERS.has(ownerText.toLowerCase())) continue;
+
+        found.push({
+          ownerText,
+          vague: vague || (!!ownerText && language.vagueOwners.has(owner.trim().toLowerCase())),
+          action: action.toLowerCase(),
+          object: activity,
+          activity: getActivityKey(activity),
+          docId: input.id,
+          docName: input.name,
+          text: match[0],
+          start: match.index,
+          end: match.index + match[0].length
+        });
+      }
+    }
+
+    found.sort((a, b) => a.start - b.start);
+    const party = findDeclaredParty(input.content, language.partyPronouns);
+
+    for (const statement of found) {
+      statements.push(resolveOwner(statement, found, party, language.firstPerson));
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Group statements into a responsibility matrix, problems first
+ * Returns [{ activity, status, owners: [{ owner, actions, documents }], documents, statements }];
+ * status is owned, unowned (nobody is named) or conflicting (several owners).
+ */
+export function buildResponsibilityMatrix(statements) {
+  const rows = new Map();
+
+  for (const statement of statements) {
+    if (!rows.has(statement.activity)) {
+      rows.set(statement.activity, { activity: statement.object, owners: new Map(), documents: new Set(), statements: 0 });
+    }
+
+    const row = rows.get(statement.activity);
+    row.statements++;
+    row.documents.add(statement.docName);
+    if (!statement.owner) continue;
+
+    const key = statement.owner.toLowerCase();
+    if (!row.owners.has(key)) {
+      row.owners.set(key, { owner: statement.owner, actions: [], documents: [] });
+    }
+    const owner = row.owners.get(key);
+    if (!owner.actions.includes(statement.action)) owner.actions.push(statement.action);
+    if (!owner.documents.includes(statement.docName)) owner.documents.push(statement.docName);
+  }
+
+  const order = ['conflicting', 'unowned', 'owned'];
+
+  return [...rows.entries()]
+    .map(([key, row]) => ({
+      key,
+      activity: row.activity,
+      status: row.owners.size > 1 ? 'conflicting' : row.owners.size ? 'owned' : 'unowned',
+      owners: [...row.owners.values()],
+      documents: [...row.documents],
+      statements: row.statements
+    }))
+    .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.activity.localeCompare(b.activity));
+}
+
+/**
+ * Key that lets the same activity match across documents
+ */
+function getActivityKey(activity) {
+  return activity.toLowerCase().split(/\s+/).map(getConceptKey).join(' ');
+}
+
+/**
+ * Ownership patterns for an input's language
+ */
+function getPatterns(language) {
+  const { ownership } = getLanguagePack(language);
+  if (!ownership) return ENGLISH_PATTERNS;
+
+  if (!localizedPatterns.has(language)) {
+    localizedPatterns.set(language, buildLocalizedPatterns(ownership));
+  }
+  return localizedPatterns.get(language);
+}
+
+/**
+ * Named ("El gerente es responsable de ...") and vague ("Alguien enviará ...")
+ * patterns from a language pack's ownership phrasing
+ */
+function buildLocalizedPatterns(ownership) {
+  const phrase = text => escapeRegex(text).replace(/ /g, '\\s+');
+  const capitalizable = text => `[${text[0].toUpperCase()}${text[0]}]${escapeRegex(text.slice(1))}`;
+
+  const determinerAlternation = ownership.determiners.map(capitalizable).join('|');
+  const connector = `(?:(?:${ownership.connectors.map(phrase).join('|')}) +)?`;
+  const owner = `(?<owner>(?:(?:${determinerAlternation}) +)?\\p{Lu}[\\p{L}&-]*(?: +${connector}\\p{Lu}[\\p{L}&-]*){0,2}` +
+    `|(?:${determinerAlternation}) +\\p{Ll}[\\p{L}-]*(?: +\\p{Ll}[\\p{L}-]*){0,2})`;
+  const object = `(?<object>[^.;:!?\\n,]{1,80}?)(?=[.;:!?\\n,]|\\s+(?:${ownership.clauseBreaks.join('|')})(?!\\p{L})|$)`;
+  const vagueOwner = `(?<owner>${ownership.vagueOwners.map(v => capitalizable(v).replace(/ /g, ' +')).join('|')})`;
+  const determiners = new RegExp(`^(?:${ownership.determiners.join('|')})\\s+`, 'i');
+
+  return {
+    patterns: [
+      { regex: new RegExp(`${owner}\\s+(?<action>${ownership.responsible.map(phrase).join('|')})\\s+${object}`, 'gu'), vague: false },
+      { regex: new RegExp(`(?<!\\p{L})${vagueOwner}\\s+(?<action>\\p{L}+)\\s+${object}`, 'gu'), vague: true }
+    ],
+    determiners,
+    vagueOwners: new Set(ownership.vagueOwners.map(v => v.toLowerCase())),
+    firstPerson: new Set(ownership.firstPerson.map(v => v.replace(determiners, '').toLowerCase())),
+    partyPronouns: ownership.firstPerson.filter(v => !v.includes(' '))
+  };
+}
+
+function cleanObject(object, determiners) {
+  return object.trim().replace(determiners, '').replace(TRAILING_ADVERBS, '').trim();
+}
+
+function stripDeterminer(owner, determiners) {
+  return owner.trim().replace(determiners, '');
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function overlaps(found, start) {
+  return found.some(s => start >= s.start && start < s.end);
+}
+
+/**
+ * A party the document declares as "we" (Acme Agency ("Agency", "we"))
+ */
+function findDeclaredParty(content, pronouns) {
+  const name = '\\p{Lu}[\\p{L}\\p{N}_&.-]*';
+  const match = content.match(new RegExp(`(${name}(?:\\s+${name}){0,3})\\s*\\([^)]*["“«]\\s?(?:${pronouns.join('|')})\\s?["”»][^)]*\\)`, 'u'));
+  return match ? match[1] : null;
+}
+
+function resolveOwner(statement, found, party, firstPerson) {
+  const { vague, ownerText, ...rest } = statement;
+
+  if (!vague) {
+    return { ...rest, owner: ownerText, ownerText, resolution: 'named' };
+  }
+
+  const pronoun = (ownerText || '').toLowerCase();
+  let owner = null;
+
+  if (ANAPHORS.has(pronoun)) {
+    // The most recent named owner shortly before
+    const previous = found
+      .filter(s => !s.vague && s.end <= statement.start && statement.start - s.end <= ANAPHOR_WINDOW)
+      .pop();
+    owner = previous ? previous.ownerText : null;
+  } else if (firstPerson.has(pronoun)) {
+    owner = party;
+  }
+
+  return { ...rest, owner, ownerText, resolution: owner ? 'resolved' : 'unresolved' };
+}
@@ -0,0 +1,138 @@
+/**
+ * Semantic Score - Promise Boundaries
+ * Pairs each promise statement with the boundary or limit language that
+ * bounds it: in the same sentence, the same paragraph, or a section the
+ * promise refers to ("see Exclusions", "as described in Section 4")
+ */
+
+import { segmentDocument } from './textSegments.js';
+import { getLanguagePack } from './languages.js';
+
+// A markdown heading line, which names a section rather than stating anything
+const MARKDOWN_HEADING = /^#{1,6}\s/;
+
+// A pointer from a promise to the section that bounds it
+const SECTION_REFERENCE = /\b(?:[Ss]ee|[Pp]er|[Ss]ubject to|[Aa]s (?:described|set out|defined|outlined|listed) in)\s+(?:the\s+)?(?:[Ss]ection\s+(?<number>\d+(?:\.\d+)*)|["“]?(?<title>[A-Z][\w&-]*(?: +[A-Z][\w&-]*){0,4})["”]?)/g;
+
+// Where a promise found its boundary, nearest first
+export const PAIRING_LEVELS = ['sentence', 'paragraph', 'section'];
+
+// Credit a promise earns for a boundary, by how near the boundary is
+export const PAIRING_CREDIT = { sentence: 1, paragraph: 0.75, section: 0.75 };
+
+/**
+ * Find every promise statement and the boundary it pairs with
+ * A promise statement is a sentence, or a standalone line such as a tagline
+ * or an unpunctuated bullet, with at least one promise word in the input's
+ * language. A standalone line is bounded by its own text or by the
+ * paragraphs under it.
+ * Returns { promises: [{ docId, docName, text, start, end, words: [{ text, start, end }],
+ * pairedAt, boundary }], boundaries: [{ docId, docName, text, start, end }] }; pairedAt
+ * is one of PAIRING_LEVELS, or null with boundary null when the promise is unbounded.
+ */
+export function pairPromisesWithBoundaries(inputs) {
+  const promises = [];
+  const boundaries = [];
+
+  for (const input of inputs) {
+    const content = input.content;
+    const pack = getLanguagePack(input.language);
+    const segments = segmentDocument(content);
+    const signals = [...content.matchAll(buildSignalRegex(pack))].map(match => ({
+      docId: input.id,
+      docName: input.name,
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+    boundaries.push(...signals);
+
+    const within = segment => findBoundaryIn(signals, segment);
+
+    // Headings that are not markdown are standalone lines and can promise too
+    const standalone = segments.headings.filter(line => !MARKDOWN_HEADING.test(line.text));
+    const statements = [...segments.sentences, ...standalone].sort((a, b) => a.start - b.start);
+
+    for (const sentence of statements) {
+      const words = findPromiseWords(sentence, pack.promisePatterns);
+      if (!words.length) continue;
+
+      const paragraphs = sentence.paragraphIndex === undefined
+        ? segments.paragraphs.filter(p => p.heading === sentence.text.trim())
+        : [segments.paragraphs[sentence.paragraphIndex]];
+      let pairedAt = null;
+      let boundary = within(sentence);
+
+      if (boundary) {
+        pairedAt = 'sentence';
+      } else if ((boundary = paragraphs.map(within).find(Boolean) || null)) {
+        pairedAt = 'paragraph';
+      } else if ((boundary = findReferencedBoundary(sentence.text, segments, signals))) {
+        pairedAt = 'section';
+      }
+
+      promises.push({
+        docId: input.id,
+        docName: input.name,
+        text: sentence.text,
+        start: sentence.start,
+        end: sentence.end,
+        words,
+        pairedAt,
+        boundary
+      });
+    }
+  }
+
+  return { promises, boundaries };
+}
+
+function buildSignalRegex(pack) {
+  const signals = [...pack.exclusionSignals, ...pack.inclusionSignals, ...pack.limitSignals]
+    .sort((a, b) => b.length - a.length)
+    .map(signal => signal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${signals.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+function findBoundaryIn(signals, segment) {
+  return signals.find(s => s.start >= segment.start && s.end <= segment.end) || null;
+}
+
+function findPromiseWords(sentence, promisePatterns) {
+  const words = [];
+
+  for (const pattern of promisePatterns) {
+    for (const match of sentence.text.matchAll(pattern)) {
+      const start = sentence.start + match.index;
+      words.push({ text: match[0], start, end: start + match[0].length });
+    }
+  }
+
+  return words.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The first boundary in a section the sentence refers to, by number or title
+ * A section is its heading line plus every paragraph under that heading.
+ */
+function findReferencedBoundary(text, segments, signals) {
+  for (const match of text.matchAll(SECTION_REFERENCE)) {
+    const { number, title } = match.groups;
+
+    for (const heading of segments.headings) {
+      const name = heading.text.replace(/^#+\s*/, '').trim();
+      const matches = number
+        ? new RegExp(`^(?:section\\s+)?${number.replace(/\./g, '\\.')}\\b`, 'i').test(name)
+        : name.toLowerCase().startsWith(title.toLowerCase());
+      if (!matches) continue;
+
+      const section = [heading, ...segments.paragraphs.filter(p => p.heading === name)];
+      for (const segment of section) {
+        const boundary = findBoundaryIn(signals, segment);
+        if (boundary) return boundary;
+      }
+    }
+  }
+
+  return null;
+}
@@ -4,16 +4,33 @@
  */
 
 import {
-  TERM_LIBRARY,
   TermCategory,
-  TERM_RISK_MULTIPLIERS,
-  VAGUE_PATTERNS,
-  EXCLUSION_SIGNALS,
-  INCLUSION_SIGNALS,
-  LIMIT_SIGNALS,
-  getTermCategory,
-  getRiskMultiplier
+  getRiskMultiplier,
+  getDocumentRiskWeight,
+  buildTermLibrary
 } from './termLibrary.js';
+import { parseCustomLibrary } from './customLibrary.js';
+import { getConceptKey, buildTermFamilies, buildFamilyRegex, normalizeVariant } from './lemmatizer.js';
+import { segmentDocument, locateOffset, excerptAround } from './textSegments.js';
+import { buildGlossaryIndex, compareDefinitions } from './glossary.js';
+import { buildSuppressions, checkSuppression, parseIgnoreList } from './suppression.js';
+import { resolveDocumentTypes } from './documentClassifier.js';
+import { buildDefinitionGraph, getDependencyIssue } from './definitionGraph.js';
+import { buildAcronymRegistry, getAcronymStatus, summarizeAcronymRegistry, parseAcronymAllowlist } from './acronyms.js';
+import { extractOwnershipStatements, buildResponsibilityMatrix, RESOLVED_OWNER_CREDIT } from './ownership.js';
+import { extractCommitments, findCommitmentConflicts } from './commitments.js';
+import { AI_CONCURRENCY, mapConcurrent } from './concurrency.js';
+import { pairPromisesWithBoundaries, PAIRING_CREDIT } from './promises.js';
+import { DEFAULT_LANGUAGE, resolveLanguages, detectLanguage, getLanguagePack, getLocalizedTerms } from './languages.js';
+import { parseDebtModel, estimateMeaningDebt } from './meaningDebt.js';
+import { buildAspireDimensions, scoreAspireDimensions } from './aspire.js';
+import {
+  buildSynonymSets,
+  detectSynonymDrift,
+  narrowSynonymGroups,
+  summarizeSynonymGroup,
+  proposeSynonymSetsAI
+} from './synonyms.js';
 
 // Component weights
 const WEIGHTS = {
@@ -25,269 +42,1323 @@ const WEIGHTS = {
   ownership_clarity: 0.05
 };
 
+// Share of a definition's credit kept when it is circular or rests on undefined terms
+const HOLLOW_DEFINITION_CREDIT = 0.5;
+
+// How many vague statements one contradicted commitment counts as
+const CONFLICTING_COMMITMENT_WEIGHT = 2;
+
+// Jargon Load score by unexplained acronyms per 100 words, and the score past the last band
+const JARGON_BANDS = [
+  { density: 0.5, score: 95 },
+  { density: 1, score: 85 },
+  { density: 2, score: 70 },
+  { density: 4, score: 50 }
+];
+const JARGON_FLOOR = 30;
+
+// Documents compared in one AI consistency request; more are split across requests
+const MAX_DOCUMENTS_PER_CHECK = 8;
+
+// Share of a translated term's credit kept when only some languages define it
+const UNDEFINED_TRANSLATION_CREDIT = 0.5;
+
+// Score a component gets when there is no evidence to judge it by
+const DEFAULT_SCORES = {
+  definition_coverage: 50,
+  consistency: 80,
+  boundary_clarity: 70,
+  threshold_specificity: 70,
+  jargon_load: 80,
+  ownership_clarity: 70
+};
+
+// Evidence items listed per component, biggest effect first
+const MAX_EVIDENCE = 10;
+
+// Longest evidence excerpt, in characters
+const MAX_EVIDENCE_EXCERPT = 240;
+
+// Segments of each input, shared by the evidence excerpts of one analysis
+const segmentCache = new WeakMap();
+
+// Span-level finding rules: the component they feed, default severity and hover text
+const FINDING_RULES = {
+  undefined_term: {
+    component: 'definition_coverage',
+    severity: 'high',
+    message: text => `"${text}" is a high-stakes term that is never defined`
+  },
+  hollow_definition: {
+    component: 'definition_coverage',
+    severity: 'medium',
+    message: text => `"${text}" is defined circularly or in terms of undefined terms`
+  },
+  incomplete_definition: {
+    component: 'definition_coverage',
+    severity: 'low',
+    message: text => `"${text}" is defined, but not with both a threshold and a boundary`
+  },
+  inconsistent_term: {
+    component: 'consistency',
+    severity: 'high',
+    message: text => `"${text}" is used with a different meaning in another document`
+  },
+  synonym_drift: {
+    component: 'consistency',
+    severity: 'medium',
+    message: text => `"${text}" competes with other words used for the same concept`
+  },
+  translation_conflict: {
+    component: 'consistency',
+    severity: 'high',
+    message: text => `"${text}" defines the term differently from its translation in another language`
+  },
+  untranslated_definition: {
+    component: 'consistency',
+    severity: 'medium',
+    message: text => `"${text}" is defined in another language but not in this one`
+  },
+  promise_statement: {
+    component: 'boundary_clarity',
+    severity: 'medium',
+    message: text => `"${text}" makes a promise with no boundary nearby; say what is included, excluded or limited`
+  },
+  boundary_signal: {
+    component: 'boundary_clarity',
+    severity: 'info',
+    message: text => `"${text}" sets a boundary on what is promised`
+  },
+  vague_threshold: {
+    component: 'threshold_specificity',
+    severity: 'medium',
+    message: text => `"${text}" is vague; replace it with a measurable threshold`
+  },
+  conflicting_commitment: {
+    component: 'threshold_specificity',
+    severity: 'critical',
+    message: text => `"${text}" contradicts a commitment on the same subject in another document`
+  },
+  unexplained_acronym: {
+    component: 'jargon_load',
+    severity: 'low',
+    message: text => `${text} is never spelled out in any document`
+  },
+  conflicting_acronym: {
+    component: 'jargon_load',
+    severity: 'medium',
+    message: text => `${text} is spelled out differently in different documents`
+  },
+  clear_owner: {
+    component: 'ownership_clarity',
+    severity: 'info',
+    message: text => `"${text}" names who is responsible`
+  },
+  resolved_owner: {
+    component: 'ownership_clarity',
+    severity: 'low',
+    message: text => `"${text}" leaves the owner implicit; the surrounding text suggests who it is`
+  },
+  vague_owner: {
+    component: 'ownership_clarity',
+    severity: 'medium',
+    message: text => `"${text}" leaves it unclear who is responsible`
+  },
+  conflicting_owner: {
+    component: 'ownership_clarity',
+    severity: 'high',
+    message: text => `"${text}" assigns work that another statement gives to someone else`
+  }
+};
+
 /**
  * Main analysis function
  */
-export async function analyzeContent(inputs, options = {}) {
-  const { companySize = 50, useAI = false, anthropicClient = null } = options;
+export async function analyzeContent(allInputs, options = {}) {
+  const {
+    companySize = 50,
+    useAI = false,
+    anthropicClient = null,
+    termLibrary = null,
+    ignoreList = [],
+    acronymAllowlist = [],
+    debtModel: debtSource = null
+  } = options;
+
+  const customLibrary = parseCustomLibrary(termLibrary);
+  const debtModel = parseDebtModel(debtSource);
+  const suppressions = buildSuppressions(parseIgnoreList(ignoreList));
+
+  // Glossary inputs supply canonical definitions and are not scored themselves
+  const glossary = buildGlossaryIndex(allInputs.filter(inp => inp.type === 'glossary'));
+
+  // Each scored input carries the risk weight of its (given or inferred) document type
+  const documentInputs = allInputs.filter(inp => inp.type !== 'glossary');
+  const documentTypes = await resolveDocumentTypes(documentInputs, { useAI, anthropicClient });
+  const languages = resolveLanguages(documentInputs);
+  const inputs = documentInputs.map((inp, i) => ({
+    ...inp,
+    documentType: documentTypes[i].documentType,
+    documentTypeSource: documentTypes[i].source,
+    documentTypeConfidence: documentTypes[i].confidence,
+    riskWeight: getDocumentRiskWeight(documentTypes[i].documentType),
+    language: languages[i].language,
+    languageSource: languages[i].source,
+    languageConfidence: languages[i].confidence
+  }));
+
+  // Merge any organization-specific library and the language packs the corpus needs into the defaults
+  const library = buildTermLibrary(customLibrary, getLocalizedTerms(inputs.map(inp => inp.language)));
+  const families = buildTermFamilies(library);
 
   // Step 1: Extract terms from all inputs
-  const termOccurrences = extractTerms(inputs);
+  const { termOccurrences, suppressed } = extractTerms(inputs, families, library, suppressions);
 
   // Step 2: Analyze each term
-  const termAnalyses = await analyzeTerms(termOccurrences, inputs, useAI, anthropicClient);
+  const termAnalyses = await analyzeTerms(termOccurrences, inputs, {
+    useAI,
+    anthropicClient,
+    library,
+    families,
+    glossary
+  });
 
-  // Step 3: Calculate component scores
-  const c1 = scoreDefinitionCoverage(termAnalyses);
-  const c2 = scoreConsistency(termAnalyses, inputs);
-  const c3 = scoreBoundaryClarity(inputs);
-  const c4 = scoreThresholdSpecificity(inputs);
-  const c5 = scoreJargonLoad(inputs);
-  const c6 = scoreOwnershipClarity(inputs);
+  // Step 2b: Map the terms each definition depends on and flag hollow definitions
+  const definitionGraph = buildDefinitionGraph(termAnalyses, families, glossary);
+  for (const term of termAnalyses) {
+    term.dependencyIssue = getDependencyIssue(definitionGraph, term.concept);
+  }
 
-  // Step 4: Build components array
-  const components = [
-    { name: 'Definition Coverage', ...c1, weight: WEIGHTS.definition_coverage },
-    { name: 'Consistency', ...c2, weight: WEIGHTS.consistency },
-    { name: 'Boundary Clarity', ...c3, weight: WEIGHTS.boundary_clarity },
-    { name: 'Threshold Specificity', ...c4, weight: WEIGHTS.threshold_specificity },
-    { name: 'Jargon Load', ...c5, weight: WEIGHTS.jargon_load },
-    { name: 'Ownership Clarity', ...c6, weight: WEIGHTS.ownership_clarity }
-  ].map(c => ({
-    ...c,
-    weightedScore: c.score * c.weight
+  // Step 2c: Find concepts that several competing words are used for
+  let synonymSets = buildSynonymSets(customLibrary && customLibrary.synonyms);
+  if (useAI && anthropicClient) {
+    synonymSets = synonymSets.concat(await proposeSynonymSetsAI(termAnalyses, synonymSets, anthropicClient));
+  }
+  const synonymGroups = detectSynonymDrift(inputs, synonymSets, suppressions).map(group => ({
+    ...group,
+    riskMultiplier: getSynonymRiskMultiplier(group, families, library)
   }));
 
+  // Step 2d: Record every acronym and its expansions across the corpus
+  const acronymRegistry = buildAcronymRegistry(inputs, parseAcronymAllowlist(acronymAllowlist));
+
+  // Step 2e: Extract who owns what and group it into a responsibility matrix
+  const ownershipStatements = extractOwnershipStatements(inputs);
+  const responsibilityMatrix = buildResponsibilityMatrix(ownershipStatements);
+
+  // Step 2f: Parse numeric commitments into a ledger and find cross-document conflicts
+  const commitments = extractCommitments(inputs);
+  const commitmentConflicts = findCommitmentConflicts(commitments);
+
+  // Step 2g: Pair each promise with the boundary language that bounds it
+  const promisePairs = pairPromisesWithBoundaries(inputs);
+
+  // Step 2h: Compare terms with their configured translations across languages
+  const translationChecks = checkTranslations(inputs, customLibrary && customLibrary.translations, families, library);
+
+  // Step 3-4: Calculate component scores and collect their span-level findings
+  const corpus = {
+    synonymGroups,
+    acronymRegistry,
+    ownershipStatements,
+    responsibilityMatrix,
+    commitmentConflicts,
+    promisePairs,
+    translationChecks
+  };
+  const { components, findings } = scoreComponents(termAnalyses, inputs, corpus);
+
   // Step 5: Calculate overall score
   const overallScore = components.reduce((sum, c) => sum + c.weightedScore, 0);
 
   // Step 6: Determine score band
   const scoreBand = getScoreBand(overallScore);
 
-  // Step 7: Calculate ASPIRE scores
-  const aspireScores = calculateASPIREScores(termAnalyses, inputs);
+  // Step 7: Score the ASPIRE dimensions from their own terms, signals and evidence
+  const aspireDimensions = scoreAspireDimensions(buildAspireDimensions(customLibrary && customLibrary.aspire), {
+    termAnalyses,
+    inputs,
+    promisePairs,
+    ownershipStatements,
+    responsibilityMatrix,
+    commitments,
+    commitmentConflicts
+  });
+
+  // Step 8: Draft definitions for undefined or inconsistent terms (AI only)
+  if (useAI && anthropicClient) {
+    await attachDefinitionDrafts(termAnalyses, anthropicClient);
+  }
 
-  // Step 8: Identify high-risk terms
+  // Step 8b: Identify high-risk terms
   const highRiskTerms = identifyHighRiskTerms(termAnalyses);
 
   // Step 9: Estimate meaning debt
-  const meaningDebt = estimateMeaningDebt(overallScore, companySize, highRiskTerms.length);
+  const meaningDebt = estimateMeaningDebt(overallScore, companySize, highRiskTerms, debtModel);
 
   // Step 10: Generate action plan
   const actionPlan = generateActionPlan(termAnalyses, components);
 
+  // Step 11: Score each document on its own, worst first
+  const documentScores = scoreDocuments(termAnalyses, inputs, corpus);
+
   return {
     overall_score: Math.round(overallScore * 10) / 10,
     score_band: scoreBand,
     components,
-    aspire_scores: aspireScores,
+    aspire_scores: Object.fromEntries(aspireDimensions.map(d => [d.key, d.score])),
+    aspire_dimensions: aspireDimensions,
     total_terms_analyzed: termAnalyses.length,
     high_risk_terms: highRiskTerms,
     meaning_debt: meaningDebt,
     action_plan: actionPlan,
+    document_scores: documentScores,
+    glossary_draft: buildGlossaryDraft(termAnalyses),
+    definition_graph: definitionGraph,
+    findings,
+    consistency_verdicts: collectConsistencyVerdicts(termAnalyses),
+    synonym_groups: collectSynonymGroups(synonymGroups),
+    acronym_registry: summarizeAcronymRegistry(acronymRegistry),
+    ownership_statements: ownershipStatements.map(s => ({
+      owner: s.owner,
+      owner_text: s.ownerText,
+      resolution: s.resolution,
+      action: s.action,
+      object: s.object,
+      document: s.docName
+    })),
+    responsibility_matrix: responsibilityMatrix.map(({ key, ...row }) => row),
+    unbounded_promises: promisePairs.promises
+      .filter(p => !p.pairedAt)
+      .map(p => ({ text: p.text, promise_words: p.words.map(w => w.text), document: p.docName })),
+    commitments: collectCommitments(commitments, commitmentConflicts),
+    commitment_conflicts: commitmentConflicts.map(conflict => ({
+      subject: conflict.subject,
+      commitments: conflict.entries.map(e => ({ text: e.text, quantity: e.quantity, unit: e.unit, document: e.docName }))
+    })),
+    glossary_entries: glossary.size,
+    glossary_conflicts: collectGlossaryConflicts(termAnalyses),
+    translation_checks: translationChecks.map(check => ({
+      term: check.term,
+      status: check.status,
+      languages: check.languages.map(entry => ({
+        language: entry.language,
+        form: entry.form,
+        documents: [...new Set(entry.spans.map(s => s.docName))],
+        definition: entry.definition ? entry.definition.text : null,
+        definition_document: entry.definition ? entry.definition.docName : null
+      }))
+    })),
+    suppressed_matches: suppressed,
     documents_analyzed: inputs.length,
+    documents: inputs.map(inp => ({
+      id: inp.id,
+      name: inp.name,
+      document_type: inp.documentType,
+      document_type_source: inp.documentTypeSource,
+      document_type_confidence: inp.documentTypeConfidence,
+      risk_weight: inp.riskWeight,
+      language: inp.language,
+      language_source: inp.languageSource,
+      language_confidence: inp.languageConfidence
+    })),
     total_word_count: inputs.reduce((sum, inp) => sum + (inp.wordCount || 0), 0),
     analysis_timestamp: new Date().toISOString()
   };
 }
 
 /**
- * Extract high-stakes terms from all inputs
+ * Calculate the six weighted components for a set of term analyses and inputs
+ * corpus holds the corpus-wide findings the scorers share: { synonymGroups,
+ * acronymRegistry, ownershipStatements, responsibilityMatrix, commitmentConflicts,
+ * promisePairs, translationChecks }.
+ * Each component carries its score, details, a plain-language explanation,
+ * whether the score is a default, and the evidence that cost it most.
+ * Returns { components, findings }, with findings ordered by input and offset.
+ */
+function scoreComponents(termAnalyses, inputs, corpus) {
+  const c1 = scoreDefinitionCoverage(termAnalyses, inputs);
+  const c2 = scoreConsistency(termAnalyses, inputs, corpus.synonymGroups, corpus.translationChecks);
+  const c3 = scoreBoundaryClarity(inputs, corpus.promisePairs);
+  const c4 = scoreThresholdSpecificity(inputs, corpus.commitmentConflicts);
+  const c5 = scoreJargonLoad(inputs, corpus.acronymRegistry);
+  const c6 = scoreOwnershipClarity(inputs, corpus.ownershipStatements, corpus.responsibilityMatrix);
+
+  const components = [
+    { name: 'Definition Coverage', ...c1, weight: WEIGHTS.definition_coverage },
+    { name: 'Consistency', ...c2, weight: WEIGHTS.consistency },
+    { name: 'Boundary Clarity', ...c3, weight: WEIGHTS.boundary_clarity },
+    { name: 'Threshold Specificity', ...c4, weight: WEIGHTS.threshold_specificity },
+    { name: 'Jargon Load', ...c5, weight: WEIGHTS.jargon_load },
+    { name: 'Ownership Clarity', ...c6, weight: WEIGHTS.ownership_clarity }
+  ].map(({ findings, ...c }) => ({
+    ...c,
+    weightedScore: c.score * c.weight
+  }));
+
+  const inputOrder = new Map(inputs.map((inp, i) => [inp.id, i]));
+  const findings = [c1, c2, c3, c4, c5, c6]
+    .flatMap(c => c.findings)
+    .sort((a, b) => inputOrder.get(a.inputId) - inputOrder.get(b.inputId) || a.start - b.start || a.end - b.end);
+
+  return { components, findings };
+}
+
+/**
+ * Build a span-level finding
+ */
+function makeFinding(inputId, start, end, ruleId, text, severity = null) {
+  const rule = FINDING_RULES[ruleId];
+  return {
+    inputId,
+    start,
+    end,
+    ruleId,
+    component: rule.component,
+    severity: severity || rule.severity,
+    message: rule.message(text)
+  };
+}
+
+/**
+ * Build a piece of evidence for a component score
+ * cost is the weight the item kept from the score; rankEvidence turns it into points.
+ */
+function makeEvidence(input, start, end, ruleId, text, cost, reason = null) {
+  return {
+    rule: ruleId,
+    reason: reason || FINDING_RULES[ruleId].message(text),
+    document: input ? input.name : null,
+    excerpt: input ? excerptFor(input, start, end) : null,
+    cost
+  };
+}
+
+/**
+ * Convert evidence costs to score effects and keep the items that moved the score most
+ * toPoints maps a cost to the score points it took away.
+ */
+function rankEvidence(evidence, toPoints) {
+  return evidence
+    .map(({ cost, ...item }) => ({ ...item, effect: -Math.round(toPoints(cost) * 10) / 10 }))
+    .filter(item => item.effect < 0)
+    .sort((a, b) => a.effect - b.effect)
+    .slice(0, MAX_EVIDENCE);
+}
+
+/**
+ * The sentence around a span, trimmed to a window when it is long
+ */
+function excerptFor(input, start, end) {
+  if (!segmentCache.has(input)) segmentCache.set(input, segmentDocument(input.content));
+  const { sentence } = locateOffset(segmentCache.get(input), start);
+  return sentence ? excerptAround(sentence, start, end, MAX_EVIDENCE_EXCERPT) : input.content.slice(start, end);
+}
+
+/**
+ * A weighted share as a whole percentage, for explanations
+ */
+function formatShare(part, total) {
+  return `${Math.round((part / total) * 100)}%`;
+}
+
+/**
+ * A component score that fell back to its default for lack of evidence
+ */
+function defaultScore(component, details, reason) {
+  const score = DEFAULT_SCORES[component];
+  return {
+    score,
+    details,
+    explanation: `${reason}. The score is the default of ${score}, which neither rewards nor penalizes the text.`,
+    defaulted: true,
+    evidence: [],
+    findings: []
+  };
+}
+
+/**
+ * Score every input on its own, ranked worst first
+ * Term definitions, acronym expansions, ownership and commitment conflicts stay
+ * corpus-wide (a glossary or another document can define a term), while
+ * counts, consistency pairs, synonym groups and glossary conflicts are
+ * narrowed to the document.
+ */
+function scoreDocuments(termAnalyses, inputs, corpus) {
+  const scores = inputs.map(input => {
+    const documentTerms = termAnalyses
+      .filter(t => t.documentCounts[input.id])
+      .map(t => narrowToDocument(t, input));
+
+    const { components } = scoreComponents(documentTerms, [input], {
+      ...corpus,
+      synonymGroups: narrowSynonymGroups(corpus.synonymGroups, input)
+    });
+    const overallScore = components.reduce((sum, c) => sum + c.weightedScore, 0);
+
+    return {
+      id: input.id,
+      name: input.name,
+      document_type: input.documentType,
+      language: input.language,
+      overall_score: Math.round(overallScore * 10) / 10,
+      score_band: getScoreBand(overallScore),
+      components: components.map(c => ({
+        name: c.name,
+        score: c.score,
+        details: c.details,
+        explanation: c.explanation,
+        defaulted: c.defaulted,
+        evidence: c.evidence
+      })),
+      total_terms_analyzed: documentTerms.length,
+      high_risk_terms: identifyHighRiskTerms(documentTerms).map(t => ({
+        term: t.term,
+        risk_level: t.risk_level,
+        risk_score: t.risk_score,
+        occurrences: t.occurrences,
+        issue: t.issue,
+        recommendation: t.recommendation
+      })),
+      word_count: input.wordCount || 0
+    };
+  });
+
+  return scores.sort((a, b) => a.overall_score - b.overall_score);
+}
+
+/**
+ * View of a corpus-wide term analysis from a single document's perspective
+ */
+function narrowToDocument(term, input) {
+  const pairs = term.consistencyPairs.filter(p => p.documents.includes(input.name));
+  const conflict = pairs.find(p => !p.consistent);
+
+  return {
+    ...term,
+    occurrences: term.documentCounts[input.id],
+    documentWeight: input.riskWeight,
+    samples: term.samples.filter(o => o.docId === input.id),
+    spans: term.spans.filter(o => o.docId === input.id),
+    consistencyPairs: pairs,
+    inconsistencyDetected: pairs.length ? !!conflict : term.inconsistencyDetected,
+    inconsistencyDetails: pairs.length ? (conflict ? conflict.details : null) : term.inconsistencyDetails,
+    glossaryConflicts: term.glossaryConflicts.filter(c => c.docName === input.name)
+  };
+}
+
+/**
+ * Extract high-stakes terms from all inputs, grouped by concept family
+ * Each input is matched against the English and custom terms plus the pack
+ * terms of its own language. Matches caught by the suppression layer are
+ * returned separately so they can be reported without counting toward any score.
  */
-function extractTerms(inputs) {
+function extractTerms(inputs, families, library, suppressions) {
   const termOccurrences = {};
+  const suppressed = [];
 
   for (const input of inputs) {
-    const contentLower = input.content.toLowerCase();
+    const segments = segmentDocument(input.content);
 
-    for (const term of Object.keys(TERM_LIBRARY)) {
-      const regex = new RegExp(`\\b${escapeRegex(term)}\\b`, 'gi');
-      const matches = [...contentLower.matchAll(regex)];
+    for (const [concept, family] of families) {
+      const forms = family.forms.filter(form => !library.languages[form] || library.languages[form].includes(input.language));
+      if (!forms.length) continue;
+
+      const regex = buildFamilyRegex(forms);
+      const matches = [...input.content.matchAll(regex)];
 
       for (const match of matches) {
-        if (!termOccurrences[term]) {
-          termOccurrences[term] = [];
+        // Tie the match to its sentence, paragraph and heading
+        const start = match.index;
+        const end = start + match[0].length;
+        const { sentence, paragraph, heading } = locateOffset(segments, start);
+        const suppression = checkSuppression(suppressions, concept, input.content, start, end);
+
+        if (suppression) {
+          suppressed.push({
+            term: normalizeVariant(match[0]),
+            document: input.name,
+            heading,
+            sentence: sentence ? excerptAround(sentence, start, end) : match[0],
+            start,
+            end,
+            rule: suppression.rule,
+            reason: suppression.reason
+          });
+          continue;
         }
 
-        // Extract context
-        const start = Math.max(0, match.index - 100);
-        const end = Math.min(input.content.length, match.index + term.length + 100);
-        const context = input.content.slice(start, end).trim();
+        if (!termOccurrences[concept]) {
+          termOccurrences[concept] = [];
+        }
 
-        termOccurrences[term].push({
+        termOccurrences[concept].push({
           docId: input.id,
           docName: input.name,
-          context
+          variant: normalizeVariant(match[0]),
+          start,
+          end,
+          heading,
+          context: sentence ? excerptAround(sentence, start, end) : match[0],
+          paragraph: paragraph ? excerptAround(paragraph, start, end) : match[0]
         });
       }
     }
   }
 
-  return termOccurrences;
+  return { termOccurrences, suppressed };
+}
+
+/**
+ * Count occurrences per surface form, most frequent first
+ */
+function countVariants(occurrences) {
+  const counts = {};
+  for (const o of occurrences) {
+    counts[o.variant] = (counts[o.variant] || 0) + 1;
+  }
+
+  return Object.entries(counts)
+    .map(([form, count]) => ({ form, occurrences: count }))
+    .sort((a, b) => b.occurrences - a.occurrences || a.form.localeCompare(b.form));
 }
 
 /**
  * Analyze each term
+ * Terms are analyzed side by side, AI_CONCURRENCY at a time; each term's own
+ * AI checks still run in order because sense clustering needs the consistency result.
  */
-async function analyzeTerms(termOccurrences, inputs, useAI, anthropicClient) {
-  const analyses = [];
+async function analyzeTerms(termOccurrences, inputs, { useAI, anthropicClient, library, families, glossary }) {
+  return mapConcurrent(Object.entries(termOccurrences), AI_CONCURRENCY, async ([concept, occurrences]) => {
+    const family = families.get(concept);
+    const variants = countVariants(occurrences);
+
+    // Report the concept under the form the corpus uses most
+    const term = variants[0].form;
+    const forms = [...new Set([...variants.map(v => v.form), ...family.forms])];
 
-  for (const [term, occurrences] of Object.entries(termOccurrences)) {
-    const category = getTermCategory(term) || TermCategory.GENERAL;
-    const riskMultiplier = getRiskMultiplier(category);
+    const category = family.category;
+    const riskMultiplier = getRiskMultiplier(category, library.riskMultipliers);
 
     const documents = [...new Set(occurrences.map(o => o.docName))];
-    const contexts = occurrences.slice(0, 5).map(o => o.context);
+    const samples = sampleOccurrences(occurrences);
+    const language = getTermLanguage(occurrences, inputs);
+
+    const documentCounts = {};
+    for (const o of occurrences) {
+      documentCounts[o.docId] = (documentCounts[o.docId] || 0) + 1;
+    }
+
+    // A term is as risky as the riskiest document type that uses it
+    const documentWeight = Math.max(...inputs
+      .filter(inp => occurrences.some(o => o.docId === inp.id))
+      .map(inp => inp.riskWeight));
+    const contexts = samples.map(o => o.context);
 
-    // Check for definition
+    // Check for definition - the glossary is authoritative, documents are the fallback
     let isDefined = false;
     let definitionQuality = 'missing';
     let definitionText = null;
+    let definitionSource = null;
+    let definitionDocument = null;
     let hasThreshold = false;
     let hasBoundary = false;
-
-    for (const input of inputs) {
-      const defResult = findDefinition(term, input.content);
-      if (defResult) {
-        isDefined = true;
-        definitionText = defResult.text;
-        hasThreshold = defResult.hasThreshold;
-        hasBoundary = defResult.hasBoundary;
-
-        if (hasThreshold && hasBoundary) {
-          definitionQuality = 'complete';
-        } else if (hasThreshold || hasBoundary) {
-          definitionQuality = 'partial';
-        } else {
-          definitionQuality = 'minimal';
+    let glossaryConflicts = [];
+
+    // One definition of any variant covers the whole family
+    const glossaryEntry = glossary.get(concept);
+    let defResult = null;
+
+    if (glossaryEntry) {
+      defResult = assessDefinition(glossaryEntry.definition, detectLanguage(glossaryEntry.definition).language);
+      definitionSource = 'glossary';
+      definitionDocument = glossaryEntry.source;
+      glossaryConflicts = findGlossaryConflicts(forms, glossaryEntry, inputs);
+    } else {
+      for (const input of inputs) {
+        defResult = findFamilyDefinition(forms, input.content, input.language);
+        if (defResult) {
+          definitionSource = 'document';
+          definitionDocument = input.name;
+          break;
         }
-        break;
       }
     }
 
-    // Check for inconsistency (simplified without AI)
+    if (defResult) {
+      isDefined = true;
+      definitionText = defResult.text;
+      hasThreshold = defResult.hasThreshold;
+      hasBoundary = defResult.hasBoundary;
+
+      if (hasThreshold && hasBoundary) {
+        definitionQuality = 'complete';
+      } else if (hasThreshold || hasBoundary) {
+        definitionQuality = 'partial';
+      } else {
+        definitionQuality = 'minimal';
+      }
+    }
+
+    // Compare usage across every pair of documents (AI only)
     let inconsistencyDetected = false;
     let inconsistencyDetails = null;
+    let consistencyPairs = [];
 
     if (documents.length > 1 && useAI && anthropicClient) {
       try {
-        const result = await checkConsistencyAI(term, contexts, anthropicClient);
-        inconsistencyDetected = result.inconsistent;
-        inconsistencyDetails = result.details;
+        const result = await checkConsistencyAI(term, samples, anthropicClient);
+        consistencyPairs = result.pairs;
+        const firstConflict = consistencyPairs.find(p => !p.consistent);
+        inconsistencyDetected = !!firstConflict;
+        inconsistencyDetails = firstConflict ? firstConflict.details : null;
       } catch (e) {
         console.error('AI consistency check failed:', e);
       }
     }
 
-    analyses.push({
+    // Group an ambiguous term's usages into distinct senses (AI only)
+    let senses = [];
+
+    if (inconsistencyDetected && useAI && anthropicClient) {
+      try {
+        senses = await clusterSensesAI(term, sampleOccurrences(occurrences, 3), anthropicClient);
+      } catch (e) {
+        console.error('AI sense clustering failed:', e);
+      }
+    }
+
+    if (glossaryEntry && useAI && anthropicClient) {
+      try {
+        const result = await checkGlossaryUsageAI(term, glossaryEntry.definition, samples, anthropicClient);
+        if (result.contradicts) {
+          glossaryConflicts.push({
+            docName: result.docName,
+            reason: result.details || 'Usage contradicts the glossary definition',
+            excerpt: result.excerpt
+          });
+        }
+      } catch (e) {
+        console.error('AI glossary check failed:', e);
+      }
+    }
+
+    return {
       term,
+      concept,
+      variants,
       category,
       riskMultiplier,
+      documentWeight,
       occurrences: occurrences.length,
       documents,
+      documentCounts,
+      spans: occurrences.map(o => ({ docId: o.docId, docName: o.docName, start: o.start, end: o.end, text: o.variant })),
       isDefined,
       definitionQuality,
       definitionText,
+      definitionSource,
+      definitionDocument,
       hasThreshold,
       hasBoundary,
       contexts,
+      samples,
       inconsistencyDetected,
-      inconsistencyDetails
-    });
-  }
-
-  return analyses;
+      inconsistencyDetails,
+      consistencyPairs,
+      senses,
+      glossaryConflicts,
+      language,
+      dependencyIssue: null,
+      draftDefinition: null
+    };
+  });
 }
 
 /**
- * Find definition in content
+ * Find definition in content, using the phrasings of the content's language
  */
-function findDefinition(term, content) {
-  const contentLower = content.toLowerCase();
+function findDefinition(term, content, language) {
   const termEscaped = escapeRegex(term);
-
-  const patterns = [
-    new RegExp(`${termEscaped}["']?\\s+(?:means?|is defined as|refers to)\\s+["']?([^.]+)`, 'i'),
-    new RegExp(`(?:by|when we say)\\s+["']?${termEscaped}["']?,?\\s+(?:we mean|this means)\\s+([^.]+)`, 'i'),
-    new RegExp(`["']?${termEscaped}["']?\\s*[-:]\\s*([^.]+)`, 'i'),
-    new RegExp(`definition of\\s+["']?${termEscaped}["']?\\s*[-:]\\s*([^.]+)`, 'i')
-  ];
+  const patterns = getLanguagePack(language).definitionPatterns
+    .map(pattern => new RegExp(pattern.replace('{term}', () => termEscaped), 'i'));
 
   for (const pattern of patterns) {
-    const match = contentLower.match(pattern);
+    const match = content.match(pattern);
     if (match) {
-      const definitionText = match[1].trim().slice(0, 200);
+      return {
+        ...assessDefinition(match[1].trim().slice(0, 200), language),
+        start: match.index,
+        end: match.index + match[0].length
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a definition of any form in a term family
+ */
+function findFamilyDefinition(forms, content, language) {
+  for (const form of forms) {
+    const defResult = findDefinition(form, content, language);
+    if (defResult) return defResult;
+  }
+  return null;
+}
+
+/**
+ * Check a definition for threshold and boundary language
+ */
+function assessDefinition(text, language) {
+  const definitionLower = text.toLowerCase();
+  const pack = getLanguagePack(language);
+  const mentions = signals => signals.some(s => definitionLower.includes(s.toLowerCase()));
+
+  const hasThreshold = mentions(pack.limitSignals);
+  const hasBoundary = mentions([...pack.exclusionSignals, ...pack.inclusionSignals]);
+
+  // Keep the original wording so it can be quoted and exported
+  return { text, hasThreshold, hasBoundary };
+}
+
+/**
+ * Compare each configured translation's definitions across languages
+ * translations: { term: { language: word } }; the term itself is the English form.
+ * Returns [{ term, status, riskMultiplier, languages: [{ language, form, spans, definition }] }]
+ * for terms used in two or more languages; status is consistent, conflicting
+ * (definitions state different numbers) or undefined (some languages define it, others don't).
+ */
+function checkTranslations(inputs, translations, families, library) {
+  const checks = [];
+
+  for (const [term, byLanguage] of Object.entries(translations || {})) {
+    const forms = { en: term, ...byLanguage };
+    const languages = [];
+
+    for (const [language, form] of Object.entries(forms)) {
+      const regex = buildFamilyRegex([form, `${form}s`]);
+      const spans = [];
+      let definition = null;
+
+      for (const input of inputs.filter(inp => inp.language === language)) {
+        for (const match of input.content.matchAll(regex)) {
+          spans.push({ docId: input.id, docName: input.name, start: match.index, end: match.index + match[0].length, text: match[0] });
+        }
 
-      const hasThreshold = LIMIT_SIGNALS.some(s => definitionText.includes(s));
-      const hasBoundary = [...EXCLUSION_SIGNALS, ...INCLUSION_SIGNALS].some(s =>
-        definitionText.includes(s)
-      );
+        const found = spans.some(s => s.docId === input.id) && !definition && findDefinition(form, input.content, language);
+        if (found) {
+          definition = { ...found, docId: input.id, docName: input.name };
+        }
+      }
 
-      return { text: definitionText, hasThreshold, hasBoundary };
+      if (spans.length) languages.push({ language, form, spans, definition });
     }
+
+    if (languages.length < 2) continue;
+
+    // Definitions agree unless they state different numbers
+    const numbers = languages
+      .filter(entry => entry.definition)
+      .map(entry => (entry.definition.text.match(/\d+(?:[.,]\d+)?/g) || []).map(n => n.replace(',', '.')).sort().join(' '))
+      .filter(Boolean);
+    const defined = languages.filter(entry => entry.definition).length;
+
+    let status = 'consistent';
+    if (new Set(numbers).size > 1) status = 'conflicting';
+    else if (defined && defined < languages.length) status = 'undefined';
+
+    const family = families.get(getConceptKey(term)) || families.get(getConceptKey(languages[0].form));
+    const riskMultiplier = getRiskMultiplier(family ? family.category : TermCategory.GENERAL, library.riskMultipliers);
+
+    checks.push({ term, status, riskMultiplier, languages });
   }
 
-  return null;
+  return checks;
+}
+
+/**
+ * Find documents whose own definition of a term contradicts the glossary
+ */
+function findGlossaryConflicts(forms, glossaryEntry, inputs) {
+  const conflicts = [];
+
+  for (const input of inputs) {
+    const local = findFamilyDefinition(forms, input.content, input.language);
+    if (!local) continue;
+
+    const reason = compareDefinitions(glossaryEntry.definition, local.text);
+    if (reason) {
+      conflicts.push({ docName: input.name, reason, excerpt: local.text });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Flatten per-document-pair consistency verdicts for the report
+ */
+function collectConsistencyVerdicts(termAnalyses) {
+  return termAnalyses.flatMap(t =>
+    t.consistencyPairs.map(p => ({
+      term: t.term,
+      document_a: p.documents[0],
+      document_b: p.documents[1],
+      consistent: p.consistent,
+      details: p.details
+    }))
+  );
+}
+
+/**
+ * A synonym group is as risky as the riskiest library term among its words
+ */
+function getSynonymRiskMultiplier(group, families, library) {
+  return Math.max(...group.words.map(word => {
+    const family = families.get(getConceptKey(word));
+    return getRiskMultiplier(family ? family.category : TermCategory.GENERAL, library.riskMultipliers);
+  }));
+}
+
+/**
+ * Commitments ledger for the report, flagging entries another document contradicts
+ */
+function collectCommitments(commitments, commitmentConflicts) {
+  const conflicting = new Set(commitmentConflicts.flatMap(c => c.entries));
+
+  return commitments.map(entry => ({
+    subject: entry.subject,
+    quantity: entry.quantity,
+    unit: entry.unit,
+    limit_type: entry.limitType,
+    period: entry.period,
+    text: entry.text,
+    document: entry.docName,
+    conflict: conflicting.has(entry)
+  }));
+}
+
+/**
+ * Summarize synonym groups for the report, most widespread first
+ */
+function collectSynonymGroups(synonymGroups) {
+  return synonymGroups
+    .map(group => {
+      const { words, dominant, documents } = summarizeSynonymGroup(group);
+      return {
+        concept: group.concept,
+        source: group.source,
+        dominant,
+        words,
+        documents,
+        // Documents that themselves switch between words
+        mixed_documents: documents.filter(name => words.filter(w => w.documents.includes(name)).length > 1)
+      };
+    })
+    .sort((a, b) => b.documents.length - a.documents.length || b.words.length - a.words.length);
+}
+
+/**
+ * Flatten glossary conflicts for the report
+ */
+function collectGlossaryConflicts(termAnalyses) {
+  return termAnalyses.flatMap(t =>
+    t.glossaryConflicts.map(c => ({
+      term: t.term,
+      document: c.docName,
+      reason: c.reason,
+      excerpt: c.excerpt,
+      glossary_definition: t.definitionText
+    }))
+  );
 }
 
 /**
  * Check consistency using AI
+ * Past MAX_DOCUMENTS_PER_CHECK documents, the documents are split into groups
+ * of half that size and every two groups go to one request, so every pair of
+ * documents is still judged.
  */
-async function checkConsistencyAI(term, contexts, client) {
-  if (contexts.length < 2) {
-    return { inconsistent: false };
+async function checkConsistencyAI(term, samples, client) {
+  const byDocument = groupByDocument(samples);
+  if (byDocument.length < 2) {
+    return { pairs: [] };
   }
 
-  const prompt = `Compare how the term "${term}" is used in these two contexts:
+  const size = MAX_DOCUMENTS_PER_CHECK / 2;
+  const groups = Array.from({ length: Math.ceil(byDocument.length / size) }, (_, i) => byDocument.slice(i * size, (i + 1) * size));
+  const batches = byDocument.length <= MAX_DOCUMENTS_PER_CHECK
+    ? [byDocument]
+    : groups.flatMap((group, i) => groups.slice(i + 1).map(other => [...group, ...other]));
+
+  const results = await mapConcurrent(batches, AI_CONCURRENCY, batch => checkConsistencyBatchAI(term, batch, client));
+
+  // Pairs inside a group come back from several requests; the first verdict stands
+  const seen = new Set();
+  const pairs = results.flat().filter(pair => {
+    const key = pair.documents.join('\u0000');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { pairs };
+}
+
+async function checkConsistencyBatchAI(term, byDocument, client) {
+  const listing = byDocument.map(([docName, occurrences], i) => `Document D${i + 1}: ${docName}
+${occurrences.map(o => `  - ${o.heading ? `(section "${o.heading}") ` : ''}"${o.paragraph}"`).join('\n')}`).join('\n\n');
 
-Context A:
-"${contexts[0]}"
+  const prompt = `The term "${term}" is used in ${byDocument.length} documents. Here are usages grouped by document:
 
-Context B:
-"${contexts[1]}"
+${listing}
 
-Does the term mean the same thing in both contexts?
-Respond with JSON only: {"inconsistent": true/false, "details": "brief explanation if inconsistent"}`;
+For every pair of documents, does the term mean the same thing in both?
+Respond with JSON only: {"pairs": [{"a": "D1", "b": "D2", "consistent": true/false, "details": "brief explanation if inconsistent"}]}`;
 
   try {
     const response = await client.messages.create({
       model: 'claude-3-haiku-20240307',
-      max_tokens: 200,
+      max_tokens: 1500,
       messages: [{ role: 'user', content: prompt }]
     });
 
     const text = response.content[0].text;
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+      const result = JSON.parse(jsonMatch[0]);
+      const docName = (id) => (byDocument[parseInt(String(id).replace(/\D/g, ''), 10) - 1] || [])[0];
+      const seen = new Set();
+      const pairs = [];
+
+      for (const pair of result.pairs || []) {
+        const names = [docName(pair.a), docName(pair.b)].sort();
+        const key = names.join('\u0000');
+        if (!names[0] || !names[1] || names[0] === names[1] || seen.has(key)) continue;
+
+        seen.add(key);
+        pairs.push({
+          documents: names,
+          consistent: pair.consistent !== false,
+          details: pair.consistent === false ? pair.details || null : null
+        });
+      }
+
+      return pairs;
     }
   } catch (e) {
     console.error('AI check error:', e);
   }
 
-  return { inconsistent: false };
+  return [];
+}
+
+/**
+ * Cluster a term's usages into distinct senses using AI
+ */
+async function clusterSensesAI(term, samples, client) {
+  if (samples.length < 2) {
+    return [];
+  }
+
+  const prompt = `The term "${term}" seems to be used with more than one meaning. Here are its usages:
+
+${samples.map((o, i) => `${i + 1}. ${describeOccurrence(o)}`).join('\n')}
+
+Group the usages into distinct senses. Give each sense a short label that states the meaning, for example "support = 24/7 helpdesk".
+Respond with JSON only: {"senses": [{"label": "short label", "usages": [usage numbers]}]}`;
+
+  try {
+    const response = await client.messages.create({
+      model: 'claude-3-haiku-20240307',
+      max_tokens: 800,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const text = response.content[0].text;
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const result = JSON.parse(jsonMatch[0]);
+      const assigned = new Set();
+
+      return (result.senses || [])
+        .map(sense => {
+          const members = (sense.usages || [])
+            .map(n => parseInt(n, 10) - 1)
+            .filter(i => samples[i] && !assigned.has(i));
+          members.forEach(i => assigned.add(i));
+
+          return {
+            label: String(sense.label || '').trim() || `${term} (unlabeled sense)`,
+            occurrences: members.map(i => formatOccurrence(samples[i])),
+            documents: [...new Set(members.map(i => samples[i].docName))]
+          };
+        })
+        .filter(sense => sense.occurrences.length);
+    }
+  } catch (e) {
+    console.error('AI sense clustering error:', e);
+  }
+
+  return [];
+}
+
+/**
+ * Draft a definition for each term that is undefined or inconsistent
+ * Drafts run AI_CONCURRENCY at a time, riskiest terms first.
+ */
+async function attachDefinitionDrafts(termAnalyses, client) {
+  const candidates = termAnalyses
+    .filter(t => !t.isDefined || t.inconsistencyDetected)
+    .sort((a, b) =>
+      b.riskMultiplier * b.documentWeight - a.riskMultiplier * a.documentWeight ||
+      b.occurrences - a.occurrences
+    );
+
+  await mapConcurrent(candidates, AI_CONCURRENCY, async term => {
+    try {
+      term.draftDefinition = await draftDefinitionAI(term, client);
+    } catch (e) {
+      console.error('AI definition draft failed:', e);
+    }
+  });
+}
+
+/**
+ * Compile every extracted term into glossary entries
+ * A definition found in the glossary or documents is used as-is; otherwise the
+ * AI draft (if any) fills in. Entries without either keep an empty definition.
+ */
+function buildGlossaryDraft(termAnalyses) {
+  return termAnalyses
+    .map(t => {
+      const status = t.isDefined ? 'defined' : t.draftDefinition ? 'drafted' : 'missing';
+
+      return {
+        term: t.term,
+        category: t.category,
+        definition: t.isDefined ? t.definitionText : t.draftDefinition ? t.draftDefinition.text : '',
+        definition_quality: t.definitionQuality,
+        definition_source: t.definitionSource,
+        definition_document: t.definitionDocument,
+        dependency_issue: t.dependencyIssue,
+        status,
+        variants: t.variants.map(v => v.form),
+        draft_definition: t.draftDefinition
+      };
+    })
+    .sort((a, b) => a.term.localeCompare(b.term));
+}
+
+/**
+ * Ask the AI for a definition grounded in how the corpus uses a term
+ * The draft must carry a measurable threshold and explicit inclusions and exclusions.
+ */
+async function draftDefinitionAI(term, client) {
+  const usages = term.samples.map((o, i) => `${i + 1}. ${describeOccurrence(o)}`).join('\n');
+  const senses = term.senses.length > 1
+    ? `\nThe documents currently use it in these senses: ${term.senses.map(s => s.label).join('; ')}. Pick one meaning for everyone.\n`
+    : '';
+
+  const pack = getLanguagePack(term.language);
+  const prompt = `Write a business definition for the term "${term.term}" based on how these documents use it:
+
+${usages}
+${senses}
+The definition must:
+- be written in ${pack.name}, the language of the documents
+- state what "${term.term}" means in one sentence
+- include an explicit, measurable threshold (for example "within 4 business hours", "up to 10 requests per month", "at least 99.5% uptime")
+- list what it explicitly includes and what it explicitly excludes
+
+Respond with JSON only:
+{"definition": "one sentence", "threshold": "the measurable limit", "includes": ["..."], "excludes": ["..."]}`;
+
+  const response = await client.messages.create({
+    model: 'claude-3-haiku-20240307',
+    max_tokens: 600,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  const text = response.content[0].text;
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  const result = JSON.parse(jsonMatch[0]);
+  const definition = String(result.definition || '').trim();
+  if (!definition) return null;
+
+  const threshold = String(result.threshold || '').trim();
+  const includes = (result.includes || []).map(String).filter(Boolean);
+  const excludes = (result.excludes || []).map(String).filter(Boolean);
+
+  const draftText = [
+    definition.replace(/\.?$/, '.'),
+    threshold ? `${pack.draftLabels.threshold}: ${threshold.replace(/\.?$/, '.')}` : '',
+    includes.length ? `${pack.draftLabels.includes}: ${includes.join('; ')}.` : '',
+    excludes.length ? `${pack.draftLabels.excludes}: ${excludes.join('; ')}.` : ''
+  ].filter(Boolean).join(' ');
+
+  // Check the draft against the same signals, in the same language, used to grade document definitions
+  const { hasThreshold, hasBoundary } = assessDefinition(draftText, term.language);
+
+  return {
+    term: term.term,
+    definition,
+    threshold,
+    includes,
+    excludes,
+    text: draftText,
+    has_threshold: hasThreshold,
+    has_boundary: hasBoundary,
+    based_on_usages: term.samples.length
+  };
+}
+
+/**
+ * The language most of a term's occurrences are written in
+ */
+function getTermLanguage(occurrences, inputs) {
+  const counts = {};
+  for (const o of occurrences) {
+    const input = inputs.find(inp => inp.id === o.docId);
+    const language = input ? input.language : DEFAULT_LANGUAGE;
+    counts[language] = (counts[language] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Sample occurrences from every document a term appears in
+ * Takes usages spread across each document so one section can't speak for a whole file.
+ */
+function sampleOccurrences(occurrences, perDocument = 2) {
+  return groupByDocument(occurrences)
+    .flatMap(([, docOccurrences]) => {
+      if (docOccurrences.length <= perDocument) return docOccurrences;
+      const step = (docOccurrences.length - 1) / (perDocument - 1);
+      return Array.from({ length: perDocument }, (_, i) => docOccurrences[Math.round(i * step)]);
+    });
+}
+
+function groupByDocument(occurrences) {
+  const groups = new Map();
+  for (const o of occurrences) {
+    if (!groups.has(o.docName)) groups.set(o.docName, []);
+    groups.get(o.docName).push(o);
+  }
+  return [...groups.entries()];
+}
+
+/**
+ * Check usage against the glossary definition using AI
+ */
+async function checkGlossaryUsageAI(term, definition, occurrences, client) {
+  if (!occurrences.length) {
+    return { contradicts: false };
+  }
+
+  const prompt = `The official glossary defines "${term}" as:
+"${definition}"
+
+Here is how documents use the term:
+${occurrences.map((o, i) => `${i + 1}. ${describeOccurrence(o)}`).join('\n')}
+
+Does any usage contradict the glossary definition?
+Respond with JSON only: {"contradicts": true/false, "usage": number of the contradicting usage or null, "details": "brief explanation if it contradicts"}`;
+
+  try {
+    const response = await client.messages.create({
+      model: 'claude-3-haiku-20240307',
+      max_tokens: 200,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const text = response.content[0].text;
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const result = JSON.parse(jsonMatch[0]);
+      const occurrence = occurrences[(result.usage || 1) - 1] || occurrences[0];
+      return {
+        contradicts: !!result.contradicts,
+        details: result.details,
+        docName: occurrence.docName,
+        excerpt: occurrence.context
+      };
+    }
+  } catch (e) {
+    console.error('AI glossary check error:', e);
+  }
+
+  return { contradicts: false };
+}
+
+/**
+ * Shape an occurrence for the report
+ */
+function formatOccurrence(occurrence) {
+  return {
+    document: occurrence.docName,
+    heading: occurrence.heading,
+    sentence: occurrence.context,
+    start: occurrence.start,
+    end: occurrence.end
+  };
+}
+
+/**
+ * Describe an occurrence for an AI prompt: document, section and paragraph
+ */
+function describeOccurrence(occurrence) {
+  const section = occurrence.heading ? `, section "${occurrence.heading}"` : '';
+  return `[${occurrence.docName}${section}] "${occurrence.paragraph}"`;
 }
 
 /**
  * Score Definition Coverage (C1)
  */
-function scoreDefinitionCoverage(termAnalyses) {
+function scoreDefinitionCoverage(termAnalyses, inputs) {
   if (!termAnalyses.length) {
-    return { score: 50, details: { terms_found: 0, terms_defined: 0, terms_undefined: 0 } };
+    return defaultScore('definition_coverage', { terms_found: 0, terms_defined: 0, terms_undefined: 0 },
+      'No high-stakes terms were found, so there was nothing to check for definitions');
   }
 
   const qualityScores = { complete: 1.0, partial: 0.6, minimal: 0.3, missing: 0.0 };
+  const byId = new Map(inputs.map(inp => [inp.id, inp]));
 
   let totalWeight = 0;
   let definedWeight = 0;
+  const findings = [];
+  const evidence = [];
 
   for (const term of termAnalyses) {
-    const weight = term.riskMultiplier;
+    const weight = term.riskMultiplier * term.documentWeight;
+    const credit = term.dependencyIssue ? HOLLOW_DEFINITION_CREDIT : 1;
+    const earned = weight * qualityScores[term.definitionQuality] * credit;
     totalWeight += weight;
-    definedWeight += weight * qualityScores[term.definitionQuality];
+    definedWeight += earned;
+
+    if (term.definitionQuality === 'complete' && !term.dependencyIssue) continue;
+
+    let ruleId = 'incomplete_definition';
+    if (term.definitionQuality === 'missing') ruleId = 'undefined_term';
+    else if (term.dependencyIssue) ruleId = 'hollow_definition';
+
+    const first = term.spans[0];
+    evidence.push(first
+      ? makeEvidence(byId.get(first.docId), first.start, first.end, ruleId, term.term, weight - earned)
+      : makeEvidence(null, 0, 0, ruleId, term.term, weight - earned));
+
+    // Undefined promise words and lifecycle verbs are the costliest gaps
+    const severity = ruleId === 'undefined_term' && term.riskMultiplier < 2.5 ? 'medium' : null;
+    for (const span of term.spans) {
+      findings.push(makeFinding(span.docId, span.start, span.end, ruleId, span.text, severity));
+    }
   }
 
-  const score = totalWeight > 0 ? (definedWeight / totalWeight) * 100 : 50;
+  const score = totalWeight > 0 ? (definedWeight / totalWeight) * 100 : DEFAULT_SCORES.definition_coverage;
   const termsDefined = termAnalyses.filter(t => t.isDefined).length;
 
   return {
@@ -295,33 +1366,137 @@ function scoreDefinitionCoverage(termAnalyses) {
     details: {
       terms_found: termAnalyses.length,
       terms_defined: termsDefined,
-      terms_undefined: termAnalyses.length - termsDefined
-    }
+      terms_undefined: termAnalyses.length - termsDefined,
+      hollow_definitions: termAnalyses.filter(t => t.dependencyIssue).length
+    },
+    explanation: `${termAnalyses.length} high-stakes term(s) were found, with definitions for ${termsDefined}. ` +
+      'Each term counts by its risk: a complete definition (threshold and boundary) earns full credit, ' +
+      'a partial one 60%, a minimal one 30% and a missing one nothing; a definition that rests on ' +
+      `undefined terms keeps half its credit. The terms earned ${formatShare(definedWeight, totalWeight)} ` +
+      `of the available credit, so the score is ${Math.round(score)}.`,
+    defaulted: false,
+    evidence: rankEvidence(evidence, cost => (cost / totalWeight) * 100),
+    findings
   };
 }
 
 /**
  * Score Consistency (C2)
  */
-function scoreConsistency(termAnalyses, inputs) {
+function scoreConsistency(termAnalyses, inputs, synonymGroups, translationChecks = []) {
   const crossDocTerms = termAnalyses.filter(t => t.documents.length > 1);
-
-  if (!crossDocTerms.length) {
-    return { score: 80, details: { cross_doc_terms: 0, consistent: 0, inconsistent: 0 } };
+  const riskWeights = new Map(inputs.map(inp => [inp.id, inp.riskWeight]));
+  const translations = translationChecks.filter(check =>
+    check.languages.some(entry => entry.spans.some(s => riskWeights.has(s.docId)))
+  );
+
+  if (!crossDocTerms.length && !synonymGroups.length && !translations.length) {
+    return defaultScore('consistency', { cross_doc_terms: 0, consistent: 0, inconsistent: 0, synonym_groups: 0 },
+      'No term appears in more than one document and no competing words or translations were found, so there was nothing to compare');
   }
 
+  const byId = new Map(inputs.map(inp => [inp.id, inp]));
   let totalWeight = 0;
   let consistentWeight = 0;
+  const findings = [];
+  const evidence = [];
+
+  let pairsChecked = 0;
+  let inconsistentPairs = 0;
 
+  // Each term counts by the share of its document pairs that agree
   for (const term of crossDocTerms) {
-    const weight = term.riskMultiplier;
+    const weight = term.riskMultiplier * term.documentWeight;
+    const pairs = term.consistencyPairs;
+    const agreeing = pairs.filter(p => p.consistent).length;
+
+    pairsChecked += pairs.length;
+    inconsistentPairs += pairs.length - agreeing;
+
+    let earned = 0;
+    if (pairs.length) {
+      earned = weight * (agreeing / pairs.length);
+    } else if (!term.inconsistencyDetected) {
+      earned = weight;
+    }
     totalWeight += weight;
-    if (!term.inconsistencyDetected) {
-      consistentWeight += weight;
+    consistentWeight += earned;
+
+    if (term.inconsistencyDetected) {
+      // Flag the usages in documents that disagree (all of them when no pairs were checked)
+      const disagreeing = new Set(pairs.filter(p => !p.consistent).flatMap(p => p.documents));
+      const flagged = term.spans.filter(span => !pairs.length || disagreeing.has(span.docName));
+      for (const span of flagged) {
+        findings.push(makeFinding(span.docId, span.start, span.end, 'inconsistent_term', span.text));
+      }
+
+      const first = flagged[0];
+      evidence.push(first
+        ? makeEvidence(byId.get(first.docId), first.start, first.end, 'inconsistent_term', term.term, weight - earned)
+        : makeEvidence(null, 0, 0, 'inconsistent_term', term.term, weight - earned));
     }
   }
 
-  const score = totalWeight > 0 ? (consistentWeight / totalWeight) * 100 : 80;
+  // Each synonym group counts by the share of its uses that stick to the most common word
+  for (const group of synonymGroups) {
+    const { words, dominant } = summarizeSynonymGroup(group);
+    const uses = words.reduce((sum, w) => sum + w.count, 0);
+    const weight = group.riskMultiplier * Math.max(...group.spans.map(s => riskWeights.get(s.docId)));
+
+    totalWeight += weight;
+    consistentWeight += weight * (words[0].count / uses);
+
+    const drifting = group.spans.filter(span => span.word !== dominant);
+    for (const span of drifting) {
+      findings.push(makeFinding(span.docId, span.start, span.end, 'synonym_drift', span.text));
+    }
+
+    if (drifting.length) {
+      const others = words.filter(w => w.word !== dominant).map(w => `"${w.word}"`).join(', ');
+      evidence.push(makeEvidence(byId.get(drifting[0].docId), drifting[0].start, drifting[0].end, 'synonym_drift', null,
+        weight * (1 - words[0].count / uses), `${others} compete with "${dominant}" for the same concept`));
+    }
+  }
+
+  // Each translated term counts fully when its languages agree, partly when
+  // only some define it, and not at all when their definitions disagree
+  for (const check of translations) {
+    const spans = check.languages.flatMap(entry => entry.spans).filter(s => riskWeights.has(s.docId));
+    if (!spans.length) continue;
+    const weight = check.riskMultiplier * Math.max(...spans.map(s => riskWeights.get(s.docId)));
+
+    let earned = 0;
+    if (check.status === 'consistent') {
+      earned = weight;
+    } else if (check.status === 'undefined') {
+      earned = weight * UNDEFINED_TRANSLATION_CREDIT;
+    }
+    totalWeight += weight;
+    consistentWeight += earned;
+
+    const flagged = [];
+    for (const entry of check.languages) {
+      if (check.status === 'conflicting' && entry.definition && riskWeights.has(entry.definition.docId)) {
+        const { docId, start, end } = entry.definition;
+        findings.push(makeFinding(docId, start, end, 'translation_conflict', entry.form));
+        flagged.push({ docId, start, end, ruleId: 'translation_conflict', text: entry.form });
+      } else if (check.status === 'undefined' && !entry.definition) {
+        // The first use in each document that lacks the definition
+        const firstUses = entry.spans.filter((s, i, all) => riskWeights.has(s.docId) && all.findIndex(o => o.docId === s.docId) === i);
+        for (const span of firstUses) {
+          findings.push(makeFinding(span.docId, span.start, span.end, 'untranslated_definition', span.text));
+          flagged.push({ ...span, ruleId: 'untranslated_definition' });
+        }
+      }
+    }
+
+    if (flagged.length) {
+      const { docId, start, end, ruleId, text } = flagged[0];
+      evidence.push(makeEvidence(byId.get(docId), start, end, ruleId, text, weight - earned));
+    }
+  }
+
+  const score = totalWeight > 0 ? (consistentWeight / totalWeight) * 100 : DEFAULT_SCORES.consistency;
   const inconsistentCount = crossDocTerms.filter(t => t.inconsistencyDetected).length;
 
   return {
@@ -329,105 +1504,206 @@ function scoreConsistency(termAnalyses, inputs) {
     details: {
       cross_doc_terms: crossDocTerms.length,
       consistent: crossDocTerms.length - inconsistentCount,
-      inconsistent: inconsistentCount
-    }
+      inconsistent: inconsistentCount,
+      document_pairs_checked: pairsChecked,
+      inconsistent_pairs: inconsistentPairs,
+      synonym_groups: synonymGroups.length,
+      translated_terms: translations.length,
+      translation_conflicts: translations.filter(check => check.status === 'conflicting').length
+    },
+    explanation: `${crossDocTerms.length} term(s) used in more than one document, ${synonymGroups.length} group(s) of ` +
+      `competing words and ${translations.length} translated term(s) were compared, each weighted by its risk. ` +
+      'A term counts by the share of document pairs that use it the same way, a word group by the share of ' +
+      'uses that stick to its most common word, and a translation by whether every language defines it alike. ' +
+      `Together they earned ${formatShare(consistentWeight, totalWeight)} of the available credit, so the score is ${Math.round(score)}.`,
+    defaulted: false,
+    evidence: rankEvidence(evidence, cost => (cost / totalWeight) * 100),
+    findings
   };
 }
 
 /**
  * Score Boundary Clarity (C3)
+ * Each promise statement earns credit only for boundary language near it: in
+ * its own sentence, its paragraph, or a section it refers to. A boundary
+ * elsewhere in the document does not cover it.
  */
-function scoreBoundaryClarity(inputs) {
-  let promiseCount = 0;
-  let boundedCount = 0;
-
-  const promisePatterns = [
-    /\b(?:we\s+)?(?:will|shall|provide|offer|deliver|ensure|guarantee)\b/gi,
-    /\b(?:unlimited|comprehensive|full.service|all.inclusive)\b/gi,
-    /\b(?:support|partnership|commitment)\b/gi
-  ];
-
-  for (const input of inputs) {
-    const contentLower = input.content.toLowerCase();
+function scoreBoundaryClarity(inputs, promisePairs) {
+  const riskWeights = new Map(inputs.map(inp => [inp.id, inp.riskWeight]));
+  const promises = promisePairs.promises.filter(p => riskWeights.has(p.docId));
+  const boundaries = promisePairs.boundaries.filter(b => riskWeights.has(b.docId));
+
+  const findings = boundaries.map(b => makeFinding(b.docId, b.start, b.end, 'boundary_signal', b.text));
+
+  if (!promises.length) {
+    return {
+      ...defaultScore('boundary_clarity', {
+        promises_found: 0,
+        boundary_signals: boundaries.length,
+        bounded_in_sentence: 0,
+        bounded_in_paragraph: 0,
+        bounded_by_section: 0,
+        unbounded_promises: 0
+      }, 'No promises were found, so there was nothing to bound'),
+      findings
+    };
+  }
 
-    for (const pattern of promisePatterns) {
-      const matches = contentLower.match(pattern);
-      if (matches) promiseCount += matches.length;
+  const byId = new Map(inputs.map(inp => [inp.id, inp]));
+  const counts = { sentence: 0, paragraph: 0, section: 0, unbounded: 0 };
+  let weightedPromises = 0;
+  let weightedBounded = 0;
+  const evidence = [];
+
+  for (const promise of promises) {
+    const weight = riskWeights.get(promise.docId);
+    const input = byId.get(promise.docId);
+    const { start, end, text } = promise.words[0];
+    weightedPromises += weight;
+
+    if (promise.pairedAt) {
+      const credit = PAIRING_CREDIT[promise.pairedAt];
+      counts[promise.pairedAt]++;
+      weightedBounded += weight * credit;
+      evidence.push(makeEvidence(input, start, end, 'promise_statement', text, weight * (1 - credit),
+        `"${text}" is bounded only by its ${promise.pairedAt === 'section' ? 'referenced section' : 'paragraph'}, not its own sentence`));
+      continue;
     }
 
-    for (const signal of [...EXCLUSION_SIGNALS, ...INCLUSION_SIGNALS, ...LIMIT_SIGNALS]) {
-      const regex = new RegExp(escapeRegex(signal), 'gi');
-      const matches = contentLower.match(regex);
-      if (matches) boundedCount += matches.length;
+    counts.unbounded++;
+    for (const word of promise.words) {
+      findings.push(makeFinding(promise.docId, word.start, word.end, 'promise_statement', word.text));
     }
+    evidence.push(makeEvidence(input, start, end, 'promise_statement', text, weight));
   }
 
-  const score = promiseCount === 0 ? 70 : Math.min(100, (boundedCount / promiseCount) * 100);
+  const score = (weightedBounded / weightedPromises) * 100;
 
   return {
     score: Math.round(score * 10) / 10,
     details: {
-      promises_found: promiseCount,
-      boundary_signals: boundedCount,
-      ratio: Math.round((boundedCount / Math.max(1, promiseCount)) * 100) / 100
-    }
+      promises_found: promises.length,
+      boundary_signals: boundaries.length,
+      bounded_in_sentence: counts.sentence,
+      bounded_in_paragraph: counts.paragraph,
+      bounded_by_section: counts.section,
+      unbounded_promises: counts.unbounded
+    },
+    explanation: `${promises.length} promise(s) were found: ${counts.sentence} bounded in the same sentence, ` +
+      `${counts.paragraph + counts.section} bounded only in the paragraph or a section they refer to, and ` +
+      `${counts.unbounded} not bounded at all. A boundary in the sentence earns full credit, one nearby 75% and ` +
+      `none nothing, weighted by document type, so the score is ${Math.round(score)}.`,
+    defaulted: false,
+    evidence: rankEvidence(evidence, cost => (cost / weightedPromises) * 100),
+    findings
   };
 }
 
 /**
  * Score Threshold Specificity (C4)
+ * A number that another document contradicts is worse than a vague one: it
+ * reads as precise, so nobody checks it.
  */
-function scoreThresholdSpecificity(inputs) {
+function scoreThresholdSpecificity(inputs, commitmentConflicts = []) {
   let totalStatements = 0;
   let vagueStatements = 0;
+  let weightedStatements = 0;
+  let weightedVague = 0;
+  const findings = [];
+  const evidence = [];
+
+  const byId = new Map(inputs.map(inp => [inp.id, inp]));
+  const conflicting = commitmentConflicts.flatMap(c => c.entries).filter(e => byId.has(e.docId));
+  for (const entry of conflicting) {
+    const input = byId.get(entry.docId);
+    weightedVague += input.riskWeight * CONFLICTING_COMMITMENT_WEIGHT;
+    findings.push(makeFinding(entry.docId, entry.start, entry.end, 'conflicting_commitment', entry.text));
+    evidence.push(makeEvidence(input, entry.start, entry.end, 'conflicting_commitment', entry.text,
+      input.riskWeight * CONFLICTING_COMMITMENT_WEIGHT));
+  }
 
   for (const input of inputs) {
-    const contentLower = input.content.toLowerCase();
     const sentences = input.content.split(/[.!?]+/);
     totalStatements += sentences.length;
+    weightedStatements += sentences.length * input.riskWeight;
 
-    for (const pattern of VAGUE_PATTERNS) {
+    for (const pattern of getLanguagePack(input.language).vaguePatterns) {
       const regex = new RegExp(escapeRegex(pattern), 'gi');
-      const matches = contentLower.match(regex);
-      if (matches) vagueStatements += matches.length;
+      const matches = [...input.content.matchAll(regex)];
+      for (const match of matches) {
+        vagueStatements++;
+        weightedVague += input.riskWeight;
+        findings.push(makeFinding(input.id, match.index, match.index + match[0].length, 'vague_threshold', match[0]));
+      }
+
+      // One evidence item per phrase and document, however often it is repeated
+      if (matches.length) {
+        const [first] = matches;
+        const reason = matches.length > 1
+          ? `${FINDING_RULES.vague_threshold.message(first[0])} (${matches.length} uses)`
+          : null;
+        evidence.push(makeEvidence(input, first.index, first.index + first[0].length, 'vague_threshold', first[0],
+          input.riskWeight * matches.length, reason));
+      }
     }
   }
 
   if (totalStatements === 0) {
-    return { score: 70, details: { criteria_statements: 0, vague_patterns_found: 0 } };
+    return defaultScore('threshold_specificity', { criteria_statements: 0, vague_patterns_found: 0, conflicting_commitments: 0 },
+      'There was no text to check for thresholds');
   }
 
   const vagueRatio = vagueStatements / totalStatements;
-  const score = Math.max(0, 100 - vagueRatio * 200);
+  const score = Math.max(0, 100 - (weightedVague / weightedStatements) * 200);
 
   return {
     score: Math.round(score * 10) / 10,
     details: {
       criteria_statements: totalStatements,
       vague_patterns_found: vagueStatements,
-      vague_ratio: Math.round(vagueRatio * 1000) / 1000
-    }
+      vague_ratio: Math.round(vagueRatio * 1000) / 1000,
+      conflicting_commitments: conflicting.length
+    },
+    explanation: `${totalStatements} statement(s) were checked, finding ${vagueStatements} vague phrase(s) and ` +
+      `${conflicting.length} contradicted commitment(s). The score starts at 100 and loses points ` +
+      'for each vague phrase in proportion to the number of statements; a contradicted commitment counts as ' +
+      `two vague phrases. That leaves ${Math.round(score)}${score === 0 ? ', the lowest possible score' : ''}.`,
+    defaulted: false,
+    evidence: rankEvidence(evidence, cost => (cost / weightedStatements) * 200),
+    findings
   };
 }
 
 /**
  * Score Jargon Load (C5)
  */
-function scoreJargonLoad(inputs) {
+function scoreJargonLoad(inputs, acronymRegistry) {
   const acronymsFound = new Set();
-  const unexplained = new Set();
-
-  for (const input of inputs) {
-    const matches = input.content.match(/\b[A-Z]{2,}\b/g) || [];
-
-    for (const acronym of matches) {
-      if (acronym !== 'I' && acronym !== 'A') {
-        acronymsFound.add(acronym);
-
-        const explainPattern = new RegExp(`\\(${acronym}\\)|${acronym}\\s*\\([^)]+\\)`);
-        if (!explainPattern.test(input.content)) {
-          unexplained.add(acronym);
-        }
+  const statuses = { unexplained: new Set(), conflicting: new Set(), allowlisted: new Set() };
+  // Unexplained or conflicting acronym -> weight of the riskiest document that uses it
+  const unexplained = new Map();
+  // Unexplained or conflicting acronym -> evidence from its first use
+  const firstUses = new Map();
+  const findings = [];
+
+  // An expansion anywhere in the corpus explains the acronym; one spelled
+  // out two different ways is as unclear as one never spelled out
+  const riskWeights = new Map(inputs.map(inp => [inp.id, inp.riskWeight]));
+  for (const entry of acronymRegistry.values()) {
+    const status = getAcronymStatus(entry);
+
+    for (const occurrence of entry.occurrences) {
+      if (!riskWeights.has(occurrence.docId)) continue;
+      acronymsFound.add(entry.acronym);
+      if (statuses[status]) statuses[status].add(entry.acronym);
+      if (status !== 'unexplained' && status !== 'conflicting') continue;
+
+      const weight = riskWeights.get(occurrence.docId);
+      unexplained.set(entry.acronym, Math.max(unexplained.get(entry.acronym) || 0, weight));
+      findings.push(makeFinding(occurrence.docId, occurrence.start, occurrence.end, `${status}_acronym`, entry.acronym));
+      if (!firstUses.has(entry.acronym)) {
+        const input = inputs.find(inp => inp.id === occurrence.docId);
+        firstUses.set(entry.acronym, makeEvidence(input, occurrence.start, occurrence.end, `${status}_acronym`, entry.acronym, 0));
       }
     }
   }
@@ -435,70 +1711,115 @@ function scoreJargonLoad(inputs) {
   const totalWords = inputs.reduce((sum, inp) => sum + (inp.wordCount || 0), 0);
 
   if (totalWords === 0) {
-    return { score: 80, details: { acronyms_found: 0, unexplained: 0 } };
+    return defaultScore('jargon_load', { acronyms_found: 0, unexplained: 0 }, 'There were no words to check for jargon');
   }
 
-  const jargonDensity = unexplained.size / (totalWords / 100);
+  const weightedWords = inputs.reduce((sum, inp) => sum + (inp.wordCount || 0) * inp.riskWeight, 0);
+  const weightedUnexplained = [...unexplained.values()].reduce((sum, w) => sum + w, 0);
+  const jargonDensity = weightedUnexplained / (weightedWords / 100);
+
+  const band = JARGON_BANDS.find(b => jargonDensity <= b.density);
+  const score = band ? band.score : JARGON_FLOOR;
 
-  let score;
-  if (jargonDensity <= 0.5) score = 95;
-  else if (jargonDensity <= 1) score = 85;
-  else if (jargonDensity <= 2) score = 70;
-  else if (jargonDensity <= 4) score = 50;
-  else score = 30;
+  // The drop below the best band is shared by the acronyms in proportion to their weight
+  const evidence = [...firstUses].map(([acronym, item]) => ({ ...item, cost: unexplained.get(acronym) }));
+  const penalty = JARGON_BANDS[0].score - score;
 
   return {
     score,
     details: {
       acronyms_found: acronymsFound.size,
-      unexplained: unexplained.size,
+      unexplained: statuses.unexplained.size,
+      conflicting: statuses.conflicting.size,
+      allowlisted: statuses.allowlisted.size,
       jargon_density: Math.round(jargonDensity * 100) / 100
-    }
+    },
+    explanation: `${unexplained.size} acronym(s) are never spelled out or spelled out in conflicting ways, about ` +
+      `${Math.round(jargonDensity * 100) / 100} per 100 words once weighted by document type. ` +
+      `${JARGON_BANDS.map((band, i) => `${i ? 'up to' : 'Up to'} ${band.density} scores ${band.score}`).join(', ')}, and anything ` +
+      `more scores ${JARGON_FLOOR}, so the score is ${score}.`,
+    defaulted: false,
+    evidence: rankEvidence(evidence, cost => (penalty * cost) / weightedUnexplained),
+    findings
   };
 }
 
 /**
  * Score Ownership Clarity (C6)
+ * Named owners count as clear; owners resolved from context ("we" where the
+ * document declares who "we" is) count partly; unresolved owners and activities
+ * claimed by more than one owner count against.
  */
-function scoreOwnershipClarity(inputs) {
-  let clearOwnership = 0;
-  let vagueOwnership = 0;
-
-  const clearPatterns = [
-    /\b(\w+)\s+(?:is|are)\s+responsible\s+for\b/gi,
-    /\b(\w+)\s+owns?\b/gi,
-    /\b(\w+)\s+(?:will|shall)\s+(?:handle|manage|lead)\b/gi,
-    /\bresponsibility\s+of\s+(?:the\s+)?(\w+)/gi
-  ];
-
-  const vaguePatterns = [
-    /\b(?:we|they|someone)\s+will\b/gi,
-    /\bwill\s+be\s+(?:handled|managed)\b/gi,
-    /\bshould\s+be\s+(?:done|completed)\b/gi
-  ];
-
-  for (const input of inputs) {
-    for (const pattern of clearPatterns) {
-      const matches = input.content.match(pattern);
-      if (matches) clearOwnership += matches.length;
+function scoreOwnershipClarity(inputs, ownershipStatements, responsibilityMatrix) {
+  const riskWeights = new Map(inputs.map(inp => [inp.id, inp.riskWeight]));
+  const statements = ownershipStatements.filter(s => riskWeights.has(s.docId));
+  const conflicting = new Set(responsibilityMatrix.filter(row => row.status === 'conflicting').map(row => row.key));
+
+  const counts = { named: 0, resolved: 0, unresolved: 0, conflicting: 0 };
+  let weightedClear = 0;
+  let weightedVague = 0;
+  const findings = [];
+  const evidence = [];
+  const activities = new Set(statements.map(s => s.activity));
+  const rows = responsibilityMatrix.filter(row => activities.has(row.key));
+
+  for (const statement of statements) {
+    const weight = riskWeights.get(statement.docId);
+    let ruleId;
+    let cost = 0;
+
+    if (conflicting.has(statement.activity) && statement.owner) {
+      counts.conflicting++;
+      cost = weight;
+      ruleId = 'conflicting_owner';
+    } else if (statement.resolution === 'named') {
+      counts.named++;
+      ruleId = 'clear_owner';
+    } else if (statement.resolution === 'resolved') {
+      counts.resolved++;
+      cost = weight * (1 - RESOLVED_OWNER_CREDIT);
+      ruleId = 'resolved_owner';
+    } else {
+      counts.unresolved++;
+      cost = weight;
+      ruleId = 'vague_owner';
     }
+    weightedClear += weight - cost;
+    weightedVague += cost;
 
-    for (const pattern of vaguePatterns) {
-      const matches = input.content.match(pattern);
-      if (matches) vagueOwnership += matches.length;
+    findings.push(makeFinding(statement.docId, statement.start, statement.end, ruleId, statement.text));
+    if (cost) {
+      const input = inputs.find(inp => inp.id === statement.docId);
+      evidence.push(makeEvidence(input, statement.start, statement.end, ruleId, statement.text, cost));
     }
   }
 
-  const total = clearOwnership + vagueOwnership;
-  const score = total === 0 ? 70 : (clearOwnership / total) * 100;
+  const details = {
+    responsibility_statements: statements.length,
+    clear_owner: counts.named,
+    resolved_owner: counts.resolved,
+    unclear: counts.unresolved,
+    conflicting_owner: counts.conflicting,
+    unowned_activities: rows.filter(row => row.status === 'unowned').length,
+    conflicting_activities: rows.filter(row => row.status === 'conflicting').length
+  };
+
+  if (!statements.length) {
+    return defaultScore('ownership_clarity', details, 'No ownership statements were found, so there was nothing to check');
+  }
+
+  const score = (weightedClear / (weightedClear + weightedVague)) * 100;
 
   return {
     score: Math.round(score * 10) / 10,
-    details: {
-      responsibility_statements: total,
-      clear_owner: clearOwnership,
-      unclear: vagueOwnership
-    }
+    details,
+    explanation: `${statements.length} ownership statement(s) were found: ${counts.named} name the owner, ` +
+      `${counts.resolved} leave the owner to context and ${counts.unresolved + counts.conflicting} leave it unclear ` +
+      'or contradict another statement. A named owner earns full credit, one implied by context half and the rest ' +
+      `nothing, weighted by document type, so the score is ${Math.round(score)}.`,
+    defaulted: false,
+    evidence: rankEvidence(evidence, cost => (cost / (weightedClear + weightedVague)) * 100),
+    findings
   };
 }
 
@@ -513,34 +1834,6 @@ function getScoreBand(score) {
   return 'critical';
 }
 
-/**
- * Calculate ASPIRE scores
- */
-function calculateASPIREScores(termAnalyses, inputs) {
-  const calcScore = (terms) => {
-    if (!terms.length) return 70;
-    const defined = terms.filter(t => t.isDefined).length;
-    const consistent = terms.filter(t => !t.inconsistencyDetected).length;
-    return Math.min(100, (defined / terms.length) * 50 + (consistent / terms.length) * 50);
-  };
-
-  const alignment = termAnalyses.filter(t => t.category === TermCategory.OWNERSHIP_TERM);
-  const strategy = termAnalyses.filter(t => t.category === TermCategory.FINANCIAL_STRATEGIC);
-  const prospecting = termAnalyses.filter(t => t.category === TermCategory.PROMISE_WORD);
-  const integration = termAnalyses.filter(t => t.category === TermCategory.LIFECYCLE_VERB);
-  const relationship = termAnalyses.filter(t => t.category === TermCategory.PROMISE_WORD);
-  const engagement = termAnalyses.filter(t => t.category === TermCategory.STATUS_LABEL);
-
-  return {
-    alignment: Math.round(calcScore(alignment)),
-    strategy: Math.round(calcScore(strategy)),
-    prospecting: Math.round(calcScore(prospecting)),
-    integration: Math.round(calcScore(integration)),
-    relationship: Math.round(calcScore(relationship)),
-    engagement: Math.round(calcScore(engagement))
-  };
-}
-
 /**
  * Identify high-risk terms
  */
@@ -552,9 +1845,13 @@ function identifyHighRiskTerms(termAnalyses) {
 
     if (!term.isDefined) riskScore += 30;
     if (term.inconsistencyDetected) riskScore += 40;
+    if (term.glossaryConflicts.length) riskScore += 40;
     if (term.category === TermCategory.PROMISE_WORD) riskScore += 20;
     if (term.occurrences > 5) riskScore += 10;
 
+    // The same gap weighs more in a contract than in a blog post
+    riskScore = Math.round(riskScore * term.documentWeight * 10) / 10;
+
     if (riskScore >= 30) {
       let riskLevel, issue, recommendation;
 
@@ -571,6 +1868,10 @@ function identifyHighRiskTerms(termAnalyses) {
       } else if (term.inconsistencyDetected) {
         issue = 'inconsistent_meaning';
         recommendation = `Standardize meaning of '${term.term}' across all documents`;
+      } else if (term.glossaryConflicts.length) {
+        const docs = [...new Set(term.glossaryConflicts.map(c => c.docName))];
+        issue = 'contradicts_glossary';
+        recommendation = `Align usage of '${term.term}' in ${docs.join(', ')} with the glossary definition`;
       } else {
         issue = 'high_frequency_undefined';
         recommendation = `Review usage of '${term.term}' for clarity`;
@@ -579,51 +1880,32 @@ function identifyHighRiskTerms(termAnalyses) {
       highRisk.push({
         term: term.term,
         risk_level: riskLevel,
+        risk_score: riskScore,
+        document_weight: term.documentWeight,
         category: term.category,
         occurrences: term.occurrences,
+        variants: term.variants,
         documents: term.documents,
         issue,
         recommendation,
-        examples: term.contexts.slice(0, 2)
+        examples: term.samples.slice(0, 2).map(formatOccurrence),
+        senses: term.senses,
+        draft_definition: term.draftDefinition
       });
     }
   }
 
   // Sort by risk level and return top 10
   const riskOrder = { critical: 0, high: 1, medium: 2, low: 3 };
-  highRisk.sort((a, b) => riskOrder[a.risk_level] - riskOrder[b.risk_level] || b.occurrences - a.occurrences);
+  highRisk.sort((a, b) =>
+    riskOrder[a.risk_level] - riskOrder[b.risk_level] ||
+    b.risk_score - a.risk_score ||
+    b.occurrences - a.occurrences
+  );
 
   return highRisk.slice(0, 10);
 }
 
-/**
- * Estimate meaning debt
- */
-function estimateMeaningDebt(score, companySize, highRiskCount) {
-  const baseCostPerEmployee = 2500;
-  const scoreMultiplier = (100 - score) / 50;
-  const riskMultiplier = 1 + highRiskCount * 0.1;
-
-  const baseCost = companySize * baseCostPerEmployee;
-  const adjustedCost = baseCost * scoreMultiplier * riskMultiplier;
-
-  const lowEstimate = Math.round(adjustedCost * 0.7 / 1000) * 1000;
-  const highEstimate = Math.round(adjustedCost * 1.3 / 1000) * 1000;
-
-  return {
-    low_estimate: lowEstimate,
-    high_estimate: highEstimate,
-    currency: 'USD',
-    period: 'annual',
-    breakdown: {
-      rework_misalignment: Math.round(adjustedCost * 0.35 / 1000) * 1000,
-      client_escalations: Math.round(adjustedCost * 0.20 / 1000) * 1000,
-      employee_clarification_time: Math.round(adjustedCost * 0.25 / 1000) * 1000,
-      lost_deals_confusion: Math.round(adjustedCost * 0.20 / 1000) * 1000
-    }
-  };
-}
-
 /**
  * Generate action plan
  */
@@ -656,6 +1938,17 @@ function generateActionPlan(termAnalyses, components) {
     });
   }
 
+  const contradicted = termAnalyses.filter(t => t.glossaryConflicts.length).slice(0, 3);
+
+  for (const term of contradicted) {
+    actions.push({
+      priority: 'high_impact',
+      action: `Bring '${term.term}' in line with the glossary`,
+      rationale: `${term.glossaryConflicts.length} document(s) contradict the official definition`,
+      related_terms: [term.term]
+    });
+  }
+
   // Systemic - lowest components
   const sortedComponents = [...components].sort((a, b) => a.score - b.score);
 
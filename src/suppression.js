@@ -0,0 +1,170 @@
+/**
+ * Semantic Score - False-Positive Suppression
+ * Filters term matches that are idioms, set phrases or UI labels rather than
+ * real uses of the high-stakes term ("never miss a deadline", "close to downtown")
+ */
+
+import { getConceptKey } from './lemmatizer.js';
+
+// Per-term exclusions, keyed by any form of the term
+// phrases: literal phrases that contain the term
+// patterns: regexes (case-insensitive) whose match must cover the term
+// rules: generic context rules from CONTEXT_RULES
+export const DEFAULT_SUPPRESSIONS = {
+  never: {
+    phrases: ['never miss', 'never misses', 'never mind', 'never again', 'never before', 'never been easier']
+  },
+  close: {
+    phrases: ['close to', 'close by', 'close proximity', 'close attention', 'close collaboration', 'close-knit', 'up close'],
+    rules: ['ui_label']
+  },
+  available: {
+    patterns: ['\\bavailable\\s+(?:dates?|times?|slots?|sizes?|colou?rs?|options?|seats?|rooms?|positions?)\\b'],
+    phrases: ['available on ios', 'available on android', 'available in stores'],
+    rules: ['ui_label']
+  },
+  accessible: {
+    phrases: ['wheelchair accessible', 'accessible parking', 'accessible entrance'],
+    rules: ['ui_label']
+  },
+  account: {
+    patterns: ['\\b(?:take|takes|taking|took|taken)\\s+into\\s+account\\b', '\\baccount(?:s|ed|ing)?\\s+for\\b', '\\bon\\s+account\\s+of\\b']
+  },
+  result: {
+    phrases: ['as a result', 'as a result of']
+  },
+  lead: {
+    patterns: ['\\blead\\s+(?:times?|generation|gen|magnets?)\\b', '\\b(?:sales|new|qualified|inbound|outbound|warm|cold)\\s+leads?\\b']
+  },
+  transfer: {
+    phrases: ['bank transfer', 'wire transfer', 'bank transfers', 'wire transfers']
+  },
+  resolution: {
+    patterns: ['\\b(?:screen|image|display|high|low|hd)[\\s-]resolution\\b']
+  },
+  done: {
+    phrases: ['well done'],
+    rules: ['ui_label']
+  },
+  pending: { rules: ['ui_label'] },
+  active: { rules: ['ui_label'] },
+  inactive: { rules: ['ui_label'] }
+};
+
+// Generic context rules that can be enabled per term
+const CONTEXT_RULES = {
+  // A short standalone line such as a button, field label or status chip
+  ui_label: {
+    reason: 'Appears in a short UI label, not a statement',
+    test: (content, start, end) => {
+      const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+      const lineEndIndex = content.indexOf('\n', end);
+      const line = content.slice(lineStart, lineEndIndex === -1 ? content.length : lineEndIndex).trim();
+
+      if (!line || line.startsWith('#')) return false;
+      return line.split(/\s+/).length <= 4 && !/[.!?]$/.test(line);
+    }
+  }
+};
+
+const WINDOW = 80;
+
+/**
+ * Build the suppression set for an analysis
+ * ignoreList entries that name a term suppress every match of it; longer
+ * entries act as extra phrases for any term they contain.
+ */
+export function buildSuppressions(ignoreList = []) {
+  const byConcept = new Map();
+
+  for (const [term, config] of Object.entries(DEFAULT_SUPPRESSIONS)) {
+    const entry = getOrCreate(byConcept, getConceptKey(term));
+
+    for (const phrase of config.phrases || []) {
+      entry.patterns.push({ id: `phrase:${phrase}`, regex: phraseRegex(phrase), reason: `Part of the phrase "${phrase}"` });
+    }
+    for (const pattern of config.patterns || []) {
+      entry.patterns.push({ id: `pattern:${term}`, regex: new RegExp(pattern, 'gi'), reason: `Matches a known non-${term} usage` });
+    }
+    for (const ruleId of config.rules || []) {
+      entry.rules.push(ruleId);
+    }
+  }
+
+  const ignoredConcepts = new Set();
+  const ignoredPhrases = [];
+
+  for (const raw of ignoreList) {
+    const item = String(raw).trim();
+    if (!item) continue;
+
+    ignoredConcepts.add(getConceptKey(item));
+    ignoredPhrases.push({ id: 'ignore_list', regex: phraseRegex(item), reason: `On the ignore list ("${item}")` });
+  }
+
+  return { byConcept, ignoredConcepts, ignoredPhrases };
+}
+
+/**
+ * Decide whether a match should be suppressed
+ * Returns { rule, reason } or null when the match counts.
+ */
+export function checkSuppression(suppressions, concept, content, start, end) {
+  if (suppressions.ignoredConcepts.has(concept)) {
+    return { rule: 'ignore_list', reason: 'Term is on the ignore list' };
+  }
+
+  const entry = suppressions.byConcept.get(concept) || { patterns: [], rules: [] };
+
+  for (const pattern of [...suppressions.ignoredPhrases, ...entry.patterns]) {
+    if (coversMatch(pattern.regex, content, start, end)) {
+      return { rule: pattern.id, reason: pattern.reason };
+    }
+  }
+
+  for (const ruleId of entry.rules) {
+    const rule = CONTEXT_RULES[ruleId];
+    if (rule && rule.test(content, start, end)) {
+      return { rule: ruleId, reason: rule.reason };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a user-supplied ignore list (array or newline/comma separated text)
+ */
+export function parseIgnoreList(source) {
+  if (!source) return [];
+  const items = Array.isArray(source) ? source : String(source).split(/[\n,]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function coversMatch(regex, content, start, end) {
+  const windowStart = Math.max(0, start - WINDOW);
+  const windowText = content.slice(windowStart, Math.min(content.length, end + WINDOW));
+
+  for (const match of windowText.matchAll(regex)) {
+    const matchStart = windowStart + match.index;
+    if (matchStart <= start && matchStart + match[0].length >= end) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function phraseRegex(phrase) {
+  const body = phrase.trim().split(/[\s-]+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[\\s-]+');
+  return new RegExp(`\\b${body}\\b`, 'gi');
+}
+
+function getOrCreate(map, key) {
+  if (!map.has(key)) {
+    map.set(key, { patterns: [], rules: [] });
+  }
+  return map.get(key);
+}
@@ -0,0 +1,182 @@
+/**
+ * Semantic Score - Synonym Drift
+ * Finds concepts that several competing words are used for ("client",
+ * "customer", "account"; "kickoff", "launch", "go-live")
+ */
+
+import { getConceptKey, buildFamilyRegex, normalizeVariant } from './lemmatizer.js';
+import { checkSuppression } from './suppression.js';
+
+// Words that commonly compete for one concept, keyed by the concept they name
+export const DEFAULT_SYNONYM_SETS = {
+  customer: ['client', 'customer', 'account'],
+  launch: ['kickoff', 'launch', 'go-live'],
+  deliverable: ['deliverable', 'work product'],
+  customer_contact: ['account manager', 'customer success manager', 'relationship manager'],
+  support_request: ['ticket', 'support request', 'service request'],
+  defect: ['bug', 'defect']
+};
+
+const MAX_AI_CANDIDATES = 40;
+
+// How far around a match to look for a longer phrase containing it
+const PHRASE_WINDOW = 40;
+
+/**
+ * Merge organization-specific synonym sets into the defaults
+ * custom: { concept: [words] }; an empty list removes a default set.
+ * Returns [{ concept, words, source }].
+ */
+export function buildSynonymSets(custom = null) {
+  const sets = new Map(Object.entries(DEFAULT_SYNONYM_SETS).map(([concept, words]) =>
+    [concept, { concept, words, source: 'default' }]
+  ));
+
+  for (const [concept, words] of Object.entries(custom || {})) {
+    if (!words.length) {
+      sets.delete(concept);
+    } else {
+      sets.set(concept, { concept, words: words.map(normalizeVariant), source: 'custom' });
+    }
+  }
+
+  return [...sets.values()];
+}
+
+/**
+ * Find every use of each synonym set's words
+ * Returns the sets that more than one word is actually used for, each with
+ * the matched spans: [{ concept, source, words, spans: [{ docId, docName, start, end, word, text }] }].
+ */
+export function detectSynonymDrift(inputs, sets, suppressions) {
+  const groups = [];
+
+  // "account" inside "account manager" is a use of the longer phrase, not of "account"
+  const phraseRegexes = sets.flatMap(set => set.words)
+    .filter(word => /[\s-]/.test(word))
+    .map(phrase => buildFamilyRegex([phrase, `${phrase}s`]));
+
+  for (const set of sets) {
+    const spans = [];
+
+    for (const word of set.words) {
+      const regex = buildFamilyRegex([word, `${word}s`]);
+      const concept = getConceptKey(word);
+
+      for (const input of inputs) {
+        for (const match of input.content.matchAll(regex)) {
+          const start = match.index;
+          const end = start + match[0].length;
+          if (checkSuppression(suppressions, concept, input.content, start, end)) continue;
+          if (isInsideLongerPhrase(phraseRegexes, input.content, start, end)) continue;
+
+          spans.push({ docId: input.id, docName: input.name, start, end, word, text: normalizeVariant(match[0]) });
+        }
+      }
+    }
+
+    const group = { ...set, spans };
+    if (summarizeSynonymGroup(group).words.length > 1) {
+      groups.push(group);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Narrow synonym groups to one document, keeping those it mixes words in
+ */
+export function narrowSynonymGroups(groups, input) {
+  return groups
+    .map(group => ({ ...group, spans: group.spans.filter(s => s.docId === input.id) }))
+    .filter(group => summarizeSynonymGroup(group).words.length > 1);
+}
+
+/**
+ * Per-word usage for a group, most used word first
+ * Returns { words: [{ word, count, documents }], dominant, documents }.
+ */
+export function summarizeSynonymGroup(group) {
+  const byWord = new Map();
+
+  for (const span of group.spans) {
+    if (!byWord.has(span.word)) {
+      byWord.set(span.word, { word: span.word, count: 0, documents: [] });
+    }
+    const entry = byWord.get(span.word);
+    entry.count++;
+    if (!entry.documents.includes(span.docName)) {
+      entry.documents.push(span.docName);
+    }
+  }
+
+  const words = [...byWord.values()].sort((a, b) => b.count - a.count || a.word.localeCompare(b.word));
+  const documents = [...new Set(group.spans.map(s => s.docName))];
+
+  return { words, dominant: words.length ? words[0].word : null, documents };
+}
+
+/**
+ * Ask the AI which extracted terms are used interchangeably for one concept
+ * Returns extra sets ({ concept, words, source: 'ai' }) not already covered.
+ */
+export async function proposeSynonymSetsAI(termAnalyses, sets, client) {
+  const candidates = [...termAnalyses]
+    .sort((a, b) => b.occurrences - a.occurrences)
+    .slice(0, MAX_AI_CANDIDATES);
+  if (candidates.length < 2) return [];
+
+  const known = new Set(candidates.map(t => t.term));
+
+  const prompt = `These terms appear in one company's documents:
+
+${candidates.map(t => `- ${t.term}: "${t.samples[0] ? t.samples[0].context : ''}"`).join('\n')}
+
+Which of them are different words for the same business concept (e.g. "client" and "customer", or "kickoff" and "go-live" for one milestone)?
+Only group terms from the list that a reader could mistake for distinct concepts.
+
+Respond with JSON only: {"groups": [{"concept": "short name", "words": ["term", "term"]}]}`;
+
+  try {
+    const response = await client.messages.create({
+      model: 'claude-3-haiku-20240307',
+      max_tokens: 500,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const text = response.content[0].text;
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return [];
+
+    const data = JSON.parse(jsonMatch[0]);
+    const proposed = [];
+
+    for (const group of data.groups || []) {
+      const words = [...new Set((group.words || []).map(w => normalizeVariant(String(w))))].filter(w => known.has(w));
+      if (words.length < 2) continue;
+
+      // Skip groups an existing set already covers
+      const covered = [...sets, ...proposed].some(set => words.every(w => set.words.includes(w)));
+      if (!covered) {
+        proposed.push({ concept: String(group.concept || words[0]), words, source: 'ai' });
+      }
+    }
+
+    return proposed;
+  } catch (e) {
+    console.error('AI synonym grouping failed:', e);
+    return [];
+  }
+}
+
+function isInsideLongerPhrase(phraseRegexes, content, start, end) {
+  const windowStart = Math.max(0, start - PHRASE_WINDOW);
+  const windowText = content.slice(windowStart, end + PHRASE_WINDOW);
+
+  return phraseRegexes.some(regex => [...windowText.matchAll(regex)].some(match => {
+    const matchStart = windowStart + match.index;
+    const matchEnd = matchStart + match[0].length;
+    return matchStart <= start && matchEnd >= end && matchEnd - matchStart > end - start;
+  }));
+}
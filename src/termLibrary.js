@@ -261,15 +261,76 @@ export const LIMIT_SIGNALS = [
   'annually', 'monthly', 'weekly', 'daily', 'hours'
 ];
 
+// Words and phrases that make a sentence a promise
+export const PROMISE_PATTERNS = [
+  /\b(?:we\s+)?(?:will|shall|provide|offer|deliver|ensure|guarantee)\b/gi,
+  /\b(?:unlimited|comprehensive|full.service|all.inclusive)\b/gi,
+  // Not when the noun names a role or team, as in "the Support Manager"
+  /\b(?:support|partnership|commitment)\b(?!\s+(?:manager|team|lead|engineer|agent|specialist|desk|staff)s?\b)/gi
+];
+
+// How documents define a term; {term} marks where the term goes and the
+// first group captures the definition
+export const DEFINITION_PATTERNS = [
+  `{term}["']?\\s+(?:means?|is defined as|refers to)\\s+["']?([^.]+)`,
+  `(?:by|when we say)\\s+["']?{term}["']?,?\\s+(?:we mean|this means)\\s+([^.]+)`,
+  `["']?{term}["']?\\s*[-:]\\s*([^.]+)`,
+  `definition of\\s+["']?{term}["']?\\s*[-:]\\s*([^.]+)`
+];
+
 // Helper functions
-export function getTermCategory(term) {
-  return TERM_LIBRARY[term.toLowerCase()] || null;
+export function getTermCategory(term, library = TERM_LIBRARY) {
+  return library[term.toLowerCase()] || null;
+}
+
+export function isHighStakesTerm(term, library = TERM_LIBRARY) {
+  return term.toLowerCase() in library;
+}
+
+export function getRiskMultiplier(category, multipliers = TERM_RISK_MULTIPLIERS) {
+  return multipliers[category] || 1.0;
+}
+
+export function getDocumentRiskWeight(documentType) {
+  return DOCUMENT_RISK_WEIGHTS[documentType] || 1.0;
 }
 
-export function isHighStakesTerm(term) {
-  return term.toLowerCase() in TERM_LIBRARY;
+/**
+ * Merge an organization-specific library into the defaults
+ * custom: { terms: { term: category }, remove: [term], riskMultipliers: { category: n } }
+ * localized: { terms, languages } from the language packs the corpus needs;
+ * the English library wins where a word is in both. The returned languages
+ * map lists the languages of every pack-only term; English and custom terms
+ * are left out of it because they apply to every input.
+ */
+export function buildTermLibrary(custom = null, localized = { terms: {}, languages: {} }) {
+  const terms = { ...localized.terms, ...TERM_LIBRARY };
+  const riskMultipliers = { ...TERM_RISK_MULTIPLIERS };
+  const languages = { ...localized.languages };
+
+  for (const term of Object.keys(TERM_LIBRARY)) {
+    delete languages[term];
+  }
+
+  if (!custom) {
+    return { terms, riskMultipliers, languages };
+  }
+
+  for (const term of custom.remove || []) {
+    delete terms[normalizeLibraryTerm(term)];
+    delete languages[normalizeLibraryTerm(term)];
+  }
+
+  Object.assign(riskMultipliers, custom.riskMultipliers || {});
+
+  for (const [term, category] of Object.entries(custom.terms || {})) {
+    terms[normalizeLibraryTerm(term)] = category;
+    delete languages[normalizeLibraryTerm(term)];
+  }
+
+  return { terms, riskMultipliers, languages };
 }
 
-export function getRiskMultiplier(category) {
-  return TERM_RISK_MULTIPLIERS[category] || 1.0;
+export function normalizeLibraryTerm(term) {
+  return String(term).trim().toLowerCase().replace(/\s+/g, ' ');
 }
@@ -0,0 +1,156 @@
+/**
+ * Semantic Score - Text Segmentation
+ * Splits an input into headings, paragraphs and sentences with character
+ * offsets into the original content
+ */
+
+const MAX_HEADING_WORDS = 10;
+const MAX_EXCERPT_LENGTH = 600;
+
+// Sentence ends at terminal punctuation followed by whitespace, or before a list item
+const SENTENCE_BREAK = /[.!?]+["')\]]*(?=\s)|\n(?=\s*(?:[-*•]|\d+[.)])\s)/g;
+
+/**
+ * Segment content into headings, paragraphs and sentences
+ * Every segment carries { start, end, text }. Paragraphs also carry the
+ * heading they sit under; sentences carry the index of their paragraph.
+ */
+export function segmentDocument(content) {
+  const headings = [];
+  const paragraphs = [];
+  const sentences = [];
+  let heading = null;
+
+  for (const block of splitBlocks(content)) {
+    const lines = splitLines(content, block.start, block.end);
+
+    // A heading can be a block of its own or the first line of a block
+    if (isHeading(lines[0].text, lines.length === 1)) {
+      heading = lines[0].text.replace(/^#+\s*/, '').trim();
+      headings.push(lines.shift());
+      if (!lines.length) continue;
+    }
+
+    const start = lines[0].start;
+    const end = lines[lines.length - 1].end;
+    const paragraphIndex = paragraphs.length;
+
+    paragraphs.push({ start, end, text: content.slice(start, end), heading });
+
+    for (const sentence of splitSentences(content, start, end)) {
+      sentences.push({ ...sentence, paragraphIndex });
+    }
+  }
+
+  return { headings, paragraphs, sentences };
+}
+
+/**
+ * Find the sentence, paragraph and heading that contain an offset
+ * An offset inside a heading line is treated as a one-sentence paragraph.
+ */
+export function locateOffset(segments, offset) {
+  const sentence = findContaining(segments.sentences, offset);
+  if (sentence) {
+    const paragraph = segments.paragraphs[sentence.paragraphIndex];
+    return { sentence, paragraph, heading: paragraph.heading };
+  }
+
+  const headingLine = findContaining(segments.headings, offset);
+  if (headingLine) {
+    return { sentence: headingLine, paragraph: headingLine, heading: headingLine.text.replace(/^#+\s*/, '') };
+  }
+
+  return { sentence: null, paragraph: null, heading: null };
+}
+
+/**
+ * Trim a long segment to a window around a span, marking cuts with ellipses
+ */
+export function excerptAround(segment, start, end, maxLength = MAX_EXCERPT_LENGTH) {
+  if (segment.text.length <= maxLength) {
+    return segment.text;
+  }
+
+  const center = Math.round((start + end) / 2) - segment.start;
+  const from = Math.max(0, Math.min(segment.text.length - maxLength, center - Math.floor(maxLength / 2)));
+  const to = from + maxLength;
+
+  return (from > 0 ? '…' : '') + segment.text.slice(from, to).trim() + (to < segment.text.length ? '…' : '');
+}
+
+function splitBlocks(content) {
+  const blocks = [];
+  const separator = /\n[ \t]*\n\s*/g;
+  let start = 0;
+
+  for (const match of content.matchAll(separator)) {
+    pushTrimmed(blocks, content, start, match.index);
+    start = match.index + match[0].length;
+  }
+  pushTrimmed(blocks, content, start, content.length);
+
+  return blocks;
+}
+
+function splitLines(content, start, end) {
+  const lines = [];
+  let lineStart = start;
+
+  for (let i = start; i <= end; i++) {
+    if (i === end || content[i] === '\n') {
+      pushTrimmed(lines, content, lineStart, i);
+      lineStart = i + 1;
+    }
+  }
+
+  return lines;
+}
+
+function splitSentences(content, start, end) {
+  const sentences = [];
+  const text = content.slice(start, end);
+  let sentenceStart = 0;
+
+  for (const match of text.matchAll(SENTENCE_BREAK)) {
+    const sentenceEnd = match[0].startsWith('\n') ? match.index : match.index + match[0].length;
+    pushTrimmed(sentences, content, start + sentenceStart, start + sentenceEnd);
+    sentenceStart = match.index + match[0].length;
+  }
+  pushTrimmed(sentences, content, start + sentenceStart, end);
+
+  return sentences;
+}
+
+function isHeading(line, standalone) {
+  if (/^#{1,6}\s+\S/.test(line)) return true;
+  if (!standalone || /^[-*•]\s/.test(line)) return false;
+
+  const words = line.split(/\s+/).filter(Boolean);
+  return words.length <= MAX_HEADING_WORDS && !/[.!?,;:]$/.test(line);
+}
+
+/**
+ * Push a { start, end, text } segment with surrounding whitespace removed
+ */
+function pushTrimmed(list, content, start, end) {
+  while (start < end && /\s/.test(content[start])) start++;
+  while (end > start && /\s/.test(content[end - 1])) end--;
+  if (end > start) {
+    list.push({ start, end, text: content.slice(start, end) });
+  }
+}
+
+function findContaining(segments, offset) {
+  let lo = 0;
+  let hi = segments.length - 1;
+
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (offset < segments[mid].start) hi = mid - 1;
+    else if (offset >= segments[mid].end) lo = mid + 1;
+    else return segments[mid];
+  }
+
+  return null;
+}